@@ -9,11 +9,21 @@ Date: September 2025
 
 Methodology:
 - Define the Area of Interest (AOI)
-- Load Sentinel-2 imagery: Level-2A Harmonized Surface Reflectance dataset
+- Load Sentinel-2 imagery: Level-2A Harmonized Surface Reflectance dataset (optionally Landsat 5/7/8/9
+  and HLS, see SENSORS)
 - Cloud mask: Sentinel-2 Scene Classification Layer (SCL) with Sentinel-2 Cloud Probability data to mask out clouds, cirrus, and shadows.
-- Generate monthly composites: Median values of all cloud-free pixels.
+  Alternatives: Cloud Score+ threshold or s2cloudless-style shadow projection (see config.cloudMask).
+- Generate monthly composites: Median values of all cloud-free pixels (or mean, medoid, greenest-pixel,
+  least-cloudy or percentile-N, see config.composite).
 - Calculate Vegetation Indices: NDVI, and EVI, for comparison.
-- Normalize: Scaling indices between 0–1 for comparability across months.
+- Normalize: Scaling indices between 0–1 for comparability across months (config.normalization).
+- Optional: gap-filling and harmonic / Savitzky–Golay smoothing of the composites.
+- Optional: phenology metrics (start/peak/end of season, length, amplitude, integral) per season.
+- Optional: anomalies (z-score, percent of normal) against a reference-period climatology.
+- Optional: per-pixel Sen's slope and Mann–Kendall trend with greening/browning area shares.
+- Optional: before/after change detection (dNDVI, dEVI, dSAVI) with classified change map.
+- Optional: per-feature statistics for many polygons in one long-format table.
+- Optional: land-cover stratification (WorldCover, Dynamic World or a custom classified raster).
 - Visualization and analysis:
         - Plot image counts per month to check data availability.
         - Generate line charts showing how NDVI and EVI fluctuated through time.
@@ -37,243 +47,2763 @@ title.style().set('position', 'top-center');
 // Add the title label to the map
 Map.add(title);
 
-// Define Area of Interest (AOI)
+//=====================================================================================================
+//                          VEGETATION INDEX REGISTRY
+//*****************************************************************************************************
+// Each index is declared once: the common bands it needs (see SENSORS), its formula (on
+// reflectance 0–1), the visualization range, the theoretical value range and the chart colour
+// (plus an optional comboColor for the combined charts). The composite, the no-data placeholder
+// schema, normalization, GIF panels and charts are all built from the indices in config.indices.
+// To add an index, add an entry here.
+
+var indexPalette = ['#d9a679', '#ffffb2', '#78c679', '#238443'];
+var waterPalette = ['#d9a679', '#ffffff', '#74a9cf', '#0570b0'];
+
+var INDEX_REGISTRY = {
+  NDVI: {
+    bands: ['nir', 'red'],
+    compute: function(img) {
+      return img.normalizedDifference(['nir', 'red']);
+    },
+    vis: {min: 0, max: 1, palette: indexPalette},
+    range: [-1, 1],     // Theoretical range ('fixed' normalization)
+    color: '#2E8B57',        // Single-index chart (sea green)
+    comboColor: '#006400'    // Combined charts (forest green)
+  },
+  EVI: {
+    bands: ['nir', 'red', 'blue'],
+    compute: function(img) {
+      return img.expression(
+        '2.5 * ((NIR - RED) / (NIR + 6*RED - 7.5*BLUE + 1))',
+        {NIR: img.select('nir'), RED: img.select('red'), BLUE: img.select('blue')}
+      );
+    },
+    vis: {min: 0, max: 1, palette: indexPalette},
+    range: [-1, 1],
+    color: '#1f77b4',        // blue
+    comboColor: '#32CD32'    // lime green
+  },
+  SAVI: {
+    bands: ['nir', 'red'],
+    compute: function(img) {
+      return img.expression(
+        '(1.5 * (NIR - RED)) / (NIR + RED + 0.5)',
+        {NIR: img.select('nir'), RED: img.select('red')}
+      );
+    },
+    vis: {min: 0, max: 1, palette: indexPalette},
+    range: [-1.5, 1.5],
+    color: '#ff7f0e',        // orange
+    comboColor: '#4575b4'    // blue
+  },
+  // Two-band EVI (no blue band, less sensitive to aerosol noise)
+  EVI2: {
+    bands: ['nir', 'red'],
+    compute: function(img) {
+      return img.expression(
+        '2.5 * (NIR - RED) / (NIR + 2.4*RED + 1)',
+        {NIR: img.select('nir'), RED: img.select('red')}
+      );
+    },
+    vis: {min: 0, max: 1, palette: indexPalette},
+    range: [-1, 1],
+    color: '#66bd63'
+  },
+  // Modified SAVI (self-adjusting soil factor)
+  MSAVI2: {
+    bands: ['nir', 'red'],
+    compute: function(img) {
+      return img.expression(
+        '(2*NIR + 1 - sqrt(pow(2*NIR + 1, 2) - 8*(NIR - RED))) / 2',
+        {NIR: img.select('nir'), RED: img.select('red')}
+      );
+    },
+    vis: {min: 0, max: 1, palette: indexPalette},
+    range: [-1, 1],
+    color: '#a6761d'
+  },
+  // Green NDVI (chlorophyll sensitive)
+  GNDVI: {
+    bands: ['nir', 'green'],
+    compute: function(img) {
+      return img.normalizedDifference(['nir', 'green']);
+    },
+    vis: {min: 0, max: 1, palette: indexPalette},
+    range: [-1, 1],
+    color: '#1b9e77'
+  },
+  // Red-edge NDVI with each of the three red-edge bands (Sentinel-2 / HLSS30 only)
+  NDRE: {
+    bands: ['nir', 're1'],
+    compute: function(img) {
+      return img.normalizedDifference(['nir', 're1']);
+    },
+    vis: {min: 0, max: 0.6, palette: indexPalette},
+    range: [-1, 1],
+    color: '#d95f02'
+  },
+  NDRE2: {
+    bands: ['nir', 're2'],
+    compute: function(img) {
+      return img.normalizedDifference(['nir', 're2']);
+    },
+    vis: {min: 0, max: 0.4, palette: indexPalette},
+    range: [-1, 1],
+    color: '#e7298a'
+  },
+  NDRE3: {
+    bands: ['nir', 're3'],
+    compute: function(img) {
+      return img.normalizedDifference(['nir', 're3']);
+    },
+    vis: {min: 0, max: 0.2, palette: indexPalette},
+    range: [-1, 1],
+    color: '#7570b3'
+  },
+  // McFeeters NDWI (open water / canopy water)
+  NDWI: {
+    bands: ['green', 'nir'],
+    compute: function(img) {
+      return img.normalizedDifference(['green', 'nir']);
+    },
+    vis: {min: -0.8, max: 0.4, palette: waterPalette},
+    range: [-1, 1],
+    color: '#0570b0'
+  },
+  // Normalized Burn Ratio (fire scars, disturbance)
+  NBR: {
+    bands: ['nir', 'swir2'],
+    compute: function(img) {
+      return img.normalizedDifference(['nir', 'swir2']);
+    },
+    vis: {min: -0.2, max: 0.8, palette: indexPalette},
+    range: [-1, 1],
+    color: '#8c2d04'
+  }
+};
+
+// Indices the script knows how to compute
+var SUPPORTED_INDICES = Object.keys(INDEX_REGISTRY);
+
+// Reflectance bands always kept in the composite: RGB + NIR, added to study saturation
+var REFLECTANCE_BANDS = ['red', 'green', 'blue', 'nir'];
+
+// Compute the selected indices on a reflectance composite (one float band per index)
+function computeIndices(composite, indexNames) {
+  return ee.Image(indexNames.map(function(name) {
+    return INDEX_REGISTRY[name].compute(composite).rename(name).toFloat();
+  }));
+}
+
+// Band names of a composite for the selected indices (also the no-data placeholder schema)
+function compositeBandNames(indexNames) {
+  var normalized = indexNames.map(function(name) { return name + '_Normalized'; });
+  return indexNames.concat(normalized, REFLECTANCE_BANDS);
+}
+
+// Visualization parameters for an index band (raw by default, or its _Normalized band)
+function indexVis(name, normalized) {
+  var vis = INDEX_REGISTRY[name].vis;
+  return normalized ?
+    {bands: [name + '_Normalized'], min: normalizedRange().min, max: normalizedRange().max,
+     palette: vis.palette} :
+    {bands: [name], min: vis.min, max: vis.max, palette: vis.palette};
+}
+
+//=====================================================================================================
+//                          COMPOSITING PERIODS
+//*****************************************************************************************************
+// config.period chooses how the date range is cut into composites:
+//   {type: 'month'}                     calendar months (default)
+//   {type: 'days', days: 16}            N-day windows restarting on 1 January each year
+//   {type: 'dekad'}                     days 1–10, 11–20 and 21–end of every month
+//   {type: 'season', seasons: [...]}    named seasons per year (default KENYA_SEASONS)
+//   {type: 'custom', ranges: [...]}     explicit {start, end, label} ranges (end exclusive)
+
+var MONTH_NAMES = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+
+// Kenyan rainfall seasons (long rains MAM, short rains OND, as in CHIRPS_Rainfall.js)
+var KENYA_SEASONS = [
+  {name: 'JF',   startMonth: 1,  endMonth: 2},  // Hot dry season
+  {name: 'MAM',  startMonth: 3,  endMonth: 5},  // Long rains
+  {name: 'JJAS', startMonth: 6,  endMonth: 9},  // Cool dry season
+  {name: 'OND',  startMonth: 10, endMonth: 12}  // Short rains
+];
+
+var PERIOD_TYPES = ['month', 'days', 'dekad', 'season', 'custom'];
+
+// Throw a descriptive error for an invalid config.period
+function validatePeriod(period) {
+  if (!period || PERIOD_TYPES.indexOf(period.type) === -1) {
+    throw new Error('config.period.type must be one of ' + PERIOD_TYPES.join(', ') + '.');
+  }
+  if (period.type === 'days' && (typeof period.days !== 'number' || period.days < 1 ||
+                                 period.days % 1 !== 0)) {
+    throw new Error('config.period.days must be a whole number of days >= 1, got ' +
+                    period.days + '.');
+  }
+  if (period.type === 'season') {
+    (period.seasons || KENYA_SEASONS).forEach(function(season) {
+      if (!(season.startMonth >= 1 && season.startMonth <= 12 &&
+            season.endMonth >= 1 && season.endMonth <= 12)) {
+        throw new Error('Season "' + season.name + '" needs startMonth and endMonth between 1 and 12.');
+      }
+    });
+  }
+  if (period.type === 'custom') {
+    if (!Array.isArray(period.ranges) || period.ranges.length === 0) {
+      throw new Error('config.period.ranges must list at least one {start, end} range.');
+    }
+    period.ranges.forEach(function(range) {
+      var start = new Date(range.start);
+      var end = new Date(range.end);
+      if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new Error('Custom range ' + range.start + ' – ' + range.end + ' is not a valid date pair.');
+      }
+      if (end <= start) {
+        throw new Error('Custom range end (' + range.end + ') is not after its start (' +
+                        range.start + ').');
+      }
+    });
+  }
+}
+
+// Format a JS Date as 'YYYY-MM-DD' (UTC)
+function isoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+// Build the client-side list of {start, end, label} periods for a config (end exclusive)
+function buildPeriods(cfg) {
+  var period = cfg.period;
+  var periods = [];
+
+  if (period.type === 'custom') {
+    return period.ranges.map(function(range) {
+      return {
+        start: isoDate(new Date(range.start)),
+        end: isoDate(new Date(range.end)),
+        label: range.label || (range.start + '_' + range.end)
+      };
+    });
+  }
+
+  for (var year = cfg.startYear; year <= cfg.endYear; year++) {
+    var yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+
+    if (period.type === 'month') {
+      for (var m = 0; m < 12; m++) {
+        periods.push({
+          start: isoDate(new Date(Date.UTC(year, m, 1))),
+          end: isoDate(new Date(Date.UTC(year, m + 1, 1))),
+          label: year + '-' + MONTH_NAMES[m]
+        });
+      }
+    } else if (period.type === 'dekad') {
+      for (var dm = 0; dm < 12; dm++) {
+        [1, 11, 21].forEach(function(day, k) {
+          periods.push({
+            start: isoDate(new Date(Date.UTC(year, dm, day))),
+            end: isoDate(k < 2 ? new Date(Date.UTC(year, dm, day + 10)) :
+                                 new Date(Date.UTC(year, dm + 1, 1))),
+            label: year + '-' + MONTH_NAMES[dm] + '-D' + (k + 1)
+          });
+        });
+      }
+    } else if (period.type === 'days') {
+      var start = new Date(Date.UTC(year, 0, 1));
+      while (start < yearEnd) {
+        var end = new Date(start.getTime() + period.days * 86400000);
+        if (end > yearEnd) end = yearEnd; // last window of the year is shorter
+        periods.push({start: isoDate(start), end: isoDate(end), label: isoDate(start)});
+        start = end;
+      }
+    } else if (period.type === 'season') {
+      (period.seasons || KENYA_SEASONS).forEach(function(season) {
+        // Seasons such as DJF wrap into the following year
+        var endYearOffset = season.endMonth < season.startMonth ? 1 : 0;
+        periods.push({
+          start: isoDate(new Date(Date.UTC(year, season.startMonth - 1, 1))),
+          end: isoDate(new Date(Date.UTC(year + endYearOffset, season.endMonth, 1))),
+          label: year + '-' + season.name
+        });
+      });
+    }
+  }
+  return periods;
+}
+
+// Human-readable name of the compositing period, used in chart titles
+function periodName(cfg) {
+  return {
+    month: 'Monthly',
+    days: cfg.period.days + '-day',
+    dekad: 'Dekadal',
+    season: 'Seasonal',
+    custom: 'Per-period'
+  }[cfg.period.type];
+}
+
+// Date format for chart x-axes: month names for monthly runs, full dates otherwise
+function periodAxisFormat(cfg) {
+  return cfg.period.type === 'month' ? 'YYYY-MMM' : 'YYYY-MM-dd';
+}
+
+//=====================================================================================================
+//                          COMPOSITING METHODS
+//*****************************************************************************************************
+// config.composite chooses how the cloud-masked scenes of a period are combined:
+//   {method: 'median'}                      per-pixel median (default)
+//   {method: 'mean'}                        per-pixel mean
+//   {method: 'medoid'}                      per pixel, the scene closest to the median across all
+//                                           bands (keeps real, physically consistent band values)
+//   {method: 'greenest'}                    quality mosaic on max NDVI
+//   {method: 'leastCloudy'}                 least contaminated scene on top, gaps filled by the next
+//   {method: 'percentile', percentile: 75}  per-pixel percentile N
+
+var COMPOSITE_METHODS = ['median', 'mean', 'medoid', 'greenest', 'leastCloudy', 'percentile'];
+
+// Throw a descriptive error for an invalid config.composite
+function validateComposite(composite) {
+  if (!composite || COMPOSITE_METHODS.indexOf(composite.method) === -1) {
+    throw new Error('config.composite.method must be one of ' + COMPOSITE_METHODS.join(', ') + '.');
+  }
+  if (composite.method === 'percentile' &&
+      (typeof composite.percentile !== 'number' || composite.percentile < 0 ||
+       composite.percentile > 100)) {
+    throw new Error('config.composite.percentile must be between 0 and 100, got ' +
+                    composite.percentile + '.');
+  }
+}
+
+// Name recorded in the 'compositeMethod' image property and export file names
+function compositeMethodName(composite) {
+  return composite.method === 'percentile' ?
+    'percentile_' + composite.percentile :
+    composite.method;
+}
+
+// Combine a collection of cloud-masked scenes (reflectance 0–1) into one composite
+function compositeCollection(collection, cfg) {
+  var method = cfg.composite.method;
+  var bands = collection.first().bandNames();
+
+  if (method === 'mean') {
+    return collection.mean();
+  }
+  if (method === 'percentile') {
+    return collection.reduce(ee.Reducer.percentile([cfg.composite.percentile]))
+                     .rename(bands);
+  }
+  if (method === 'medoid') {
+    // Score = -(sum of squared distances to the median), so qualityMosaic picks the closest scene
+    var median = collection.median();
+    return collection.map(function(img) {
+      var score = img.select(bands).subtract(median.select(bands))
+                     .pow(2).reduce(ee.Reducer.sum())
+                     .multiply(-1).rename('medoidScore');
+      return img.addBands(score);
+    }).qualityMosaic('medoidScore').select(bands);
+  }
+  if (method === 'greenest') {
+    return collection.map(function(img) {
+      return img.addBands(img.normalizedDifference(['nir', 'red']).rename('greenness'));
+    }).qualityMosaic('greenness').select(bands);
+  }
+  if (method === 'leastCloudy') {
+    // mosaic() puts the last image on top, so sort by descending contamination
+    return collection.sort('contamination', false).mosaic();
+  }
+  return collection.median();
+}
+
+//=====================================================================================================
+//                          CLOUD MASKING FUNCTION
+//*****************************************************************************************************
+// config.cloudMask.method chooses the masking strategy. Each strategy declares the extra inputs it
+// needs (prepare) and the clear-pixel mask it builds (mask); maskS2clouds applies the optional
+// buffer, reports the contamination % and scales reflectance for all of them.
+//   'sclProb'           S2 cloud probability < cloudProbThreshold + SCL classes (default 3, 9, 10)
+//   'cloudScorePlus'    Cloud Score+ cs / cs_cdf >= csThreshold
+//   'shadowProjection'  s2cloudless-style: probability clouds plus shadows cast along the solar
+//                       azimuth, kept where NIR is dark (and not water)
+
+// Function to attach the cloud probability band with one system:index join
+// (S2_SR_HARMONIZED and S2_CLOUD_PROBABILITY share scene ids).
+// Scenes without a cloud probability match are dropped (cfg.cloudMask.missingCloudProb 'drop')
+// or kept with cloudProbMissing = 1 and a 0 probability band, so only SCL masks them ('flag').
+function joinCloudProbability(s2, cfg) {
+  var cloudProb = ee.ImageCollection("COPERNICUS/S2_CLOUD_PROBABILITY")
+    .filterBounds(cfg.aoi)
+    .filterDate(s2.aggregate_min('system:time_start'),
+                ee.Number(s2.aggregate_max('system:time_start')).add(1));
+
+  var joined = ee.Join.saveFirst({matchKey: 'cloudProb', outer: cfg.cloudMask.missingCloudProb === 'flag'})
+    .apply({
+      primary: s2,
+      secondary: cloudProb,
+      condition: ee.Filter.equals({leftField: 'system:index', rightField: 'system:index'})
+    });
+
+  return ee.ImageCollection(joined).map(function(img) {
+    img = ee.Image(img);
+    var match = img.get('cloudProb');
+    var missing = ee.Algorithms.IsEqual(match, null);
+    var probability = ee.Image(ee.Algorithms.If(
+      missing,
+      ee.Image(0).rename('probability').clip(img.geometry()),
+      ee.Image(match).select('probability')
+    ));
+    return img.addBands(probability)
+              .set('cloudProbMissing', ee.Number(ee.Algorithms.If(missing, 1, 0)));
+  });
+}
+
+var CLOUD_MASKS = {
+  sclProb: {
+    prepare: function(s2, cfg) {
+      return joinCloudProbability(s2, cfg);  // join cloud prob
+    },
+    mask: function(img, cfg) {
+      var cloudProb = img.select('probability');
+      var scl = img.select('SCL'); // Scene Classification Layer
+
+      // Cloud mask (default >40% probability, set via cfg.cloudProbThreshold)
+      var mask = cloudProb.lt(cfg.cloudProbThreshold);
+
+      // SCL-based masks: 3 cloud shadows, 9 dense clouds, 10 cirrus (default);
+      // add 8 (medium cloud) and 11 (snow) through cfg.cloudMask.sclClasses
+      cfg.cloudMask.sclClasses.forEach(function(sclClass) {
+        mask = mask.and(scl.neq(sclClass));
+      });
+      return mask;
+    }
+  },
+  cloudScorePlus: {
+    prepare: function(s2, cfg) {
+      var csPlus = ee.ImageCollection('GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED');
+      return s2.linkCollection(csPlus, [cfg.cloudMask.csBand]);
+    },
+    mask: function(img, cfg) {
+      return img.select(cfg.cloudMask.csBand).gte(cfg.cloudMask.csThreshold);
+    }
+  },
+  shadowProjection: {
+    prepare: function(s2, cfg) {
+      return joinCloudProbability(s2, cfg);
+    },
+    mask: function(img, cfg) {
+      var isCloud = img.select('probability').gte(cfg.cloudProbThreshold);
+
+      // Dark NIR pixels that are not water are shadow candidates
+      var notWater = img.select('SCL').neq(6);
+      var darkPixels = img.select('B8').lt(cfg.cloudMask.nirDarkThreshold * 10000).and(notWater);
+
+      // Cast the clouds away from the sun, up to cloudProjDistance km
+      var shadowAzimuth = ee.Number(90).subtract(ee.Number(img.get('MEAN_SOLAR_AZIMUTH_ANGLE')));
+      var cloudProjection = isCloud.directionalDistanceTransform(
+          shadowAzimuth, cfg.cloudMask.cloudProjDistance * 10)
+        .reproject({crs: img.select('B4').projection(), scale: 100})
+        .select('distance')
+        .mask();
+      var shadows = cloudProjection.and(darkPixels);
+
+      return isCloud.or(shadows).not();
+    }
+  }
+};
+
+var CLOUD_MASK_METHODS = Object.keys(CLOUD_MASKS);
+
+// Throw a descriptive error for an invalid config.cloudMask
+function validateCloudMask(cloudMask) {
+  if (CLOUD_MASK_METHODS.indexOf(cloudMask.method) === -1) {
+    throw new Error('config.cloudMask.method must be one of ' + CLOUD_MASK_METHODS.join(', ') + '.');
+  }
+  cloudMask.sclClasses.forEach(function(sclClass) {
+    if (sclClass % 1 !== 0 || sclClass < 0 || sclClass > 11) {
+      throw new Error('config.cloudMask.sclClasses must be SCL classes 0–11, got ' + sclClass + '.');
+    }
+  });
+  if (cloudMask.csBand !== 'cs' && cloudMask.csBand !== 'cs_cdf') {
+    throw new Error('config.cloudMask.csBand must be \'cs\' or \'cs_cdf\', got ' + cloudMask.csBand + '.');
+  }
+  ['csThreshold', 'nirDarkThreshold'].forEach(function(name) {
+    var value = cloudMask[name];
+    if (typeof value !== 'number' || value < 0 || value > 1) {
+      throw new Error('config.cloudMask.' + name + ' must be between 0 and 1, got ' + value + '.');
+    }
+  });
+  if (typeof cloudMask.cloudProjDistance !== 'number' || cloudMask.cloudProjDistance <= 0) {
+    throw new Error('config.cloudMask.cloudProjDistance must be a positive number of km, got ' +
+                    cloudMask.cloudProjDistance + '.');
+  }
+  if (cloudMask.missingCloudProb !== 'flag' && cloudMask.missingCloudProb !== 'drop') {
+    throw new Error('config.cloudMask.missingCloudProb must be \'flag\' or \'drop\', got ' +
+                    cloudMask.missingCloudProb + '.');
+  }
+  if (typeof cloudMask.bufferMeters !== 'number' || cloudMask.bufferMeters < 0) {
+    throw new Error('config.cloudMask.bufferMeters must be 0 or more, got ' +
+                    cloudMask.bufferMeters + '.');
+  }
+}
+
+// Add the bands the selected masking strategy needs (cloud probability, Cloud Score+)
+function prepareCloudMaskInputs(s2, cfg) {
+  return CLOUD_MASKS[cfg.cloudMask.method].prepare(s2, cfg);
+}
+
+// Function to mask clouds and shadows with the selected strategy
+function maskS2clouds(img, cfg) {
+  var mask = CLOUD_MASKS[cfg.cloudMask.method].mask(img, cfg);
+
+  // Optional buffer: grow the masked (cloud/shadow) area by bufferMeters
+  if (cfg.cloudMask.bufferMeters > 0) {
+    mask = mask.not()
+      .focalMax({radius: cfg.cloudMask.bufferMeters, units: 'meters'})
+      .reproject({crs: img.select('B4').projection(), scale: 20})
+      .not();
+  }
+              
+  var contamination = contaminationPercent(img, mask, 'B4', cfg, cfg.scale);
+
+  return img.updateMask(mask) // Apply mask
+              .divide(10000) // Scale reflectance to 0–1
+              .select("B.*") // Keep only spectral bands
+              .copyProperties(img, ["system:time_start"]) // Retain timestamp
+              .set('contamination', contamination)   // store % contaminated
+              .set('cloudMaskMethod', cfg.cloudMask.method)
+              // 1 when the scene had no cloud probability match (Cloud Score+ runs never do)
+              .set('cloudProbMissing', ee.Algorithms.If(
+                img.propertyNames().contains('cloudProbMissing'), img.get('cloudProbMissing'), 0));
+}
+
+//=====================================================================================================
+//                          SENSORS
+//*****************************************************************************************************
+// Each sensor maps its native band names onto common names (blue, green, red, re1–re3, nir, swir1,
+// swir2), converts to reflectance 0–1 and applies its own cloud mask. config.sensors lists one
+// sensor or several to merge into a single series; each composite records the contributing
+// sensors in its 'sensor' property.
+//   S2      Sentinel-2 L2A harmonized (masking from config.cloudMask), 2017+
+//   L5, L7  Landsat 5 TM / 7 ETM+ Collection 2 L2 (QA_PIXEL mask), 1984–2012 / 1999+
+//   L8, L9  Landsat 8 / 9 OLI Collection 2 L2 (QA_PIXEL mask), 2013+ / 2021+
+//   HLSL30, HLSS30  Harmonized Landsat Sentinel-2 v2 (Fmask), 2013+ / 2015+
+
+// Landsat Collection 2 surface reflectance scale/offset
+var LANDSAT_SR_SCALE = 0.0000275;
+var LANDSAT_SR_OFFSET = -0.2;
+
+// Landsat 4–7 TM/ETM+ band layout (shared by L5 and L7)
+var LANDSAT_TM_BANDS = {
+  SR_B1: 'blue', SR_B2: 'green', SR_B3: 'red', SR_B4: 'nir', SR_B5: 'swir1', SR_B7: 'swir2'
+};
+// Landsat 8–9 OLI band layout (shared by L8 and L9)
+var LANDSAT_OLI_BANDS = {
+  SR_B2: 'blue', SR_B3: 'green', SR_B4: 'red', SR_B5: 'nir', SR_B6: 'swir1', SR_B7: 'swir2'
+};
+
+var SENSORS = {
+  S2: {
+    collection: 'COPERNICUS/S2_SR_HARMONIZED',
+    cloudCoverProperty: 'CLOUDY_PIXEL_PERCENTAGE',
+    nativeScale: 10,
+    bands: {B2: 'blue', B3: 'green', B4: 'red', B5: 're1', B6: 're2', B7: 're3',
+            B8: 'nir', B11: 'swir1', B12: 'swir2'},
+    prepare: prepareCloudMaskInputs,
+    mask: maskS2clouds              // already scales to reflectance 0–1
+  },
+  L5: {
+    collection: 'LANDSAT/LT05/C02/T1_L2',
+    cloudCoverProperty: 'CLOUD_COVER',
+    nativeScale: 30,
+    bands: LANDSAT_TM_BANDS,
+    reflectanceScale: LANDSAT_SR_SCALE,
+    reflectanceOffset: LANDSAT_SR_OFFSET,
+    mask: maskLandsatQA
+  },
+  L7: {
+    collection: 'LANDSAT/LE07/C02/T1_L2',
+    cloudCoverProperty: 'CLOUD_COVER',
+    nativeScale: 30,
+    bands: LANDSAT_TM_BANDS,
+    reflectanceScale: LANDSAT_SR_SCALE,
+    reflectanceOffset: LANDSAT_SR_OFFSET,
+    mask: maskLandsatQA
+  },
+  L8: {
+    collection: 'LANDSAT/LC08/C02/T1_L2',
+    cloudCoverProperty: 'CLOUD_COVER',
+    nativeScale: 30,
+    bands: LANDSAT_OLI_BANDS,
+    reflectanceScale: LANDSAT_SR_SCALE,
+    reflectanceOffset: LANDSAT_SR_OFFSET,
+    mask: maskLandsatQA
+  },
+  L9: {
+    collection: 'LANDSAT/LC09/C02/T1_L2',
+    cloudCoverProperty: 'CLOUD_COVER',
+    nativeScale: 30,
+    bands: LANDSAT_OLI_BANDS,
+    reflectanceScale: LANDSAT_SR_SCALE,
+    reflectanceOffset: LANDSAT_SR_OFFSET,
+    mask: maskLandsatQA
+  },
+  HLSL30: {
+    collection: 'NASA/HLS/HLSL30/v002',
+    cloudCoverProperty: 'CLOUD_COVERAGE',
+    nativeScale: 30,
+    bands: {B2: 'blue', B3: 'green', B4: 'red', B5: 'nir', B6: 'swir1', B7: 'swir2'},
+    reflectanceScale: 1,            // Earth Engine HLS bands are already reflectance
+    reflectanceOffset: 0,
+    mask: maskHlsFmask
+  },
+  HLSS30: {
+    collection: 'NASA/HLS/HLSS30/v002',
+    cloudCoverProperty: 'CLOUD_COVERAGE',
+    nativeScale: 30,
+    // B8A (narrow NIR) is the band HLS harmonizes with Landsat NIR
+    bands: {B2: 'blue', B3: 'green', B4: 'red', B5: 're1', B6: 're2', B7: 're3',
+            B8A: 'nir', B11: 'swir1', B12: 'swir2'},
+    reflectanceScale: 1,            // Earth Engine HLS bands are already reflectance
+    reflectanceOffset: 0,
+    mask: maskHlsFmask
+  }
+};
+
+var SUPPORTED_SENSORS = Object.keys(SENSORS);
+
+// Common band names available from every selected sensor
+function commonBands(sensorIds) {
+  var bands = null;
+  sensorIds.forEach(function(id) {
+    var names = Object.keys(SENSORS[id].bands).map(function(b) { return SENSORS[id].bands[b]; });
+    bands = bands === null ? names : bands.filter(function(b) { return names.indexOf(b) !== -1; });
+  });
+  return bands;
+}
+
+// % of AOI pixels of a band removed by a clear-pixel mask
+function contaminationPercent(img, mask, band, cfg, scale) {
+  // Total pixels: count on a reliable band (e.g. red)
+  var totalPixels = img.select(band).reduceRegion({
+    reducer: ee.Reducer.count(),
+    geometry: cfg.aoi.geometry(),
+    scale: scale,
+    maxPixels: 1e13
+  });
+  
+  // Clean pixels: count only where mask == 1
+  var cleanPixels = img.select(band).updateMask(mask).reduceRegion({
+    reducer: ee.Reducer.count(),
+    geometry: cfg.aoi.geometry(),
+    scale: scale,
+    maxPixels: 1e13
+  });
+
+  // Get the actual count values
+  var totalCount = ee.Number(totalPixels.get(band)).max(1); //Avoid division by zero
+  var cleanCount = ee.Number(cleanPixels.get(band));
+  
+  // Calculate contamination percentage
+  return totalCount.subtract(cleanCount)
+                   .divide(totalCount)
+                   .multiply(100)
+                   .max(0)  // Ensure non-negative
+                   .min(100); // Cap at 100%
+}
+
+// Native band name of a sensor for a common band name (e.g. L8 'red' -> 'SR_B4')
+function nativeBand(sensorId, common) {
+  var bands = SENSORS[sensorId].bands;
+  return Object.keys(bands).filter(function(b) { return bands[b] === common; })[0];
+}
+
+// Landsat Collection 2 QA_PIXEL mask: dilated cloud (bit 1), cirrus (2), cloud (3), shadow (4)
+function maskLandsatQA(img, cfg, sensorId) {
+  var mask = img.select('QA_PIXEL')
+                .bitwiseAnd((1 << 1) | (1 << 2) | (1 << 3) | (1 << 4)).eq(0);
+  return applySensorMask(img, mask, sensorId, cfg, 'QA_PIXEL');
+}
+
+// HLS Fmask: cloud (bit 1), adjacent to cloud/shadow (2), cloud shadow (3)
+function maskHlsFmask(img, cfg, sensorId) {
+  var mask = img.select('Fmask')
+                .bitwiseAnd((1 << 1) | (1 << 2) | (1 << 3)).eq(0);
+  return applySensorMask(img, mask, sensorId, cfg, 'Fmask');
+}
+
+// Shared tail of the Landsat/HLS masks: contamination, reflectance scaling, properties
+function applySensorMask(img, mask, sensorId, cfg, maskName) {
+  var sensor = SENSORS[sensorId];
+  var scale = Math.max(cfg.scale, sensor.nativeScale);
+  var contamination = contaminationPercent(img, mask, nativeBand(sensorId, 'red'), cfg, scale);
+
+  return img.select(Object.keys(sensor.bands))
+            .multiply(sensor.reflectanceScale)
+            .add(sensor.reflectanceOffset)   // Scale reflectance to 0–1
+            .updateMask(mask)
+            .copyProperties(img, ["system:time_start"]) // Retain timestamp
+            .set('contamination', contamination)
+            .set('cloudMaskMethod', maskName)
+            .set('cloudProbMissing', 0);
+}
+
+// Load one sensor for a date span: filter, mask, scale and rename to the common band names
+// shared by all config.sensors
+function loadSensorCollection(sensorId, cfg, start, end) {
+  var sensor = SENSORS[sensorId];
+  var nativeNames = Object.keys(sensor.bands);
+  var commonNames = nativeNames.map(function(b) { return sensor.bands[b]; });
+  var keep = commonBands(cfg.sensors);
+
+  var collection = ee.ImageCollection(sensor.collection)
+    .filterBounds(cfg.aoi)
+    .filterDate(start, end)
+    .filter(ee.Filter.lt(sensor.cloudCoverProperty, cfg.cloudyPixelPercentage));
+
+  if (sensor.prepare) {
+    collection = sensor.prepare(collection, cfg); // e.g. S2 cloud prob / Cloud Score+ bands
+  }
+
+  return collection.map(function(img) {
+    return ee.Image(sensor.mask(img, cfg, sensorId))
+      .select(nativeNames, commonNames)
+      .select(keep)
+      .set('sensor', sensorId);
+  });
+}
+
+//=====================================================================================================
+//                          RUN CONFIGURATION
+//*****************************************************************************************************
+// Every site- or run-specific setting lives in one config object. Edit the overrides passed to
+// makeConfig() below instead of the functions further down.
+
+// Defaults (match the original hard-coded behaviour)
+var defaultConfig = {
+  aoi: Karura_outline,           // Area of Interest (FeatureCollection)
+  sensors: ['S2'],               // One or more of SENSORS, merged into one series
+  startYear: 2024,               // First year of analysis (inclusive)
+  endYear: 2024,                 // Last year of analysis (inclusive)
+  period: {type: 'month'},       // Compositing period (see COMPOSITING PERIODS)
+  composite: {method: 'median'}, // Compositing method (see COMPOSITING METHODS)
+  gapFill: {method: 'none', maxGapDays: 90, climatologyFallback: true}, // See GAP-FILLING
+  smoothing: {method: 'none', harmonics: 2, window: 5, bands: null},    // See TIME-SERIES SMOOTHING
+  normalization: {               // *_Normalized bands (see INDEX NORMALIZATION)
+    mode: 'perPeriod',           // 'perPeriod' | 'global' | 'fixed' | 'reference' | 'zscore'
+    percentiles: [2, 98],        // perPeriod / global / reference stretch
+    ranges: null,                // fixed: e.g. {NDVI: [0, 1]}; null = INDEX_REGISTRY ranges
+    reference: {startYear: 2018, endYear: 2023} // reference mode
+  },
+  phenology: {                   // Season metrics (see PHENOLOGY METRICS), outputs.phenology
+    index: 'NDVI',               // One of config.indices
+    thresholdFraction: 0.5,      // SOS/EOS threshold as a fraction of the seasonal amplitude
+    seasons: [                   // Season windows per year (one entry for a unimodal year)
+      {name: 'LongRains', startMonth: 3, endMonth: 8},
+      {name: 'ShortRains', startMonth: 9, endMonth: 2} // runs into the following year
+    ]
+  },
+  baseline: {                    // Reference period for outputs.anomalies (see BASELINE CLIMATOLOGY)
+    startYear: 2018,
+    endYear: 2023,
+    bands: null                  // Bands to compare; null = config.indices
+  },
+  trend: {                       // Sen's slope / Mann–Kendall (see PIXEL-WISE TREND), outputs.trend
+    index: 'NDVI',               // One of config.indices
+    deseasonalize: true,         // Remove the mean seasonal cycle first
+    alpha: 0.05                  // Significance level
+  },
+  change: {                      // Before/after comparison (see CHANGE DETECTION), outputs.change
+    before: {start: '2019-01-01', end: '2020-01-01', label: 'Before'},
+    after:  {start: '2024-01-01', end: '2025-01-01', label: 'After'},
+    classifyIndex: 'NDVI',       // d<INDEX> band that is classified
+    classes: [                   // Upper bounds (max) in ascending order; last class has none
+      {name: 'Loss',   max: -0.1, color: '#d7191c'},
+      {name: 'Stable', max: 0.1,  color: '#ffffbf'},
+      {name: 'Gain',              color: '#1a9641'}
+    ],
+    exportGeoTiff: false         // Export the change map (see config.rasterExport)
+  },
+  batch: {                       // Per-feature statistics (see MULTI-AOI), outputs.featureStats
+    features: null,              // FeatureCollection of sites; null = features of config.aoi
+    idProperty: 'system:index',  // Property that identifies each feature
+    bands: null                  // Bands to summarise; null = config.indices
+  },
+  landCover: {                   // Stratification (see LAND-COVER STRATIFICATION)
+    source: 'none',              // 'none' | 'worldcover' | 'dynamicWorld' | 'custom'
+    image: null,                 // custom: classified ee.Image
+    band: null,                  // custom: class band (null = first band)
+    classNames: null,            // custom: {value: 'name'}
+    restrictTo: null             // Class values kept in charts/histograms/stats, e.g. [10]
+  },
+  tableExport: {                 // Statistics table (see EXPORT TIME-SERIES STATISTICS TABLE)
+    format: 'CSV',               // 'CSV' | 'GeoJSON' | 'KML'
+    bands: null,                 // Bands to summarise; null = config.indices
+    percentiles: [10, 25, 75, 90]
+  },
+  cloudyPixelPercentage: 20,     // Scene filter: max scene cloud cover % (0-100)
+  cloudProbThreshold: 40,        // Pixel mask: max S2 cloud probability (0-100)
+  cloudMask: {                   // Masking strategy (see CLOUD MASKING FUNCTION)
+    method: 'sclProb',           // 'sclProb' | 'cloudScorePlus' | 'shadowProjection'
+    sclClasses: [3, 9, 10],      // sclProb: SCL classes to mask (8 medium cloud, 11 snow optional)
+    csBand: 'cs_cdf',            // cloudScorePlus: 'cs' or 'cs_cdf'
+    csThreshold: 0.6,            // cloudScorePlus: min clear score (0-1)
+    nirDarkThreshold: 0.15,      // shadowProjection: max NIR reflectance of a shadow pixel
+    cloudProjDistance: 1,        // shadowProjection: max shadow distance from cloud (km)
+    bufferMeters: 0,             // Dilate cloud/shadow mask by this distance (all methods)
+    missingCloudProb: 'flag'     // Scenes without S2 cloud probability: 'flag' (keep) or 'drop'
+  },
+  scale: 10,                     // Pixel scale (m) for reductions and exports
+  app: true,                     // ui.Panel app with on-demand runs (see APP); false = console
+  indices: ['NDVI', 'EVI', 'SAVI'],
+  exportFolder: 'Indices_RGB_Exports',
+  cache: {                       // Reuse composites from an asset (see COMPOSITE CACHE)
+    mode: 'off',                 // 'off' | 'read' | 'readWrite'
+    assetId: null,               // ImageCollection asset, e.g. 'projects/my-project/assets/karura'
+    aoiId: 'aoi'                 // Short id of the AOI, stored with each cached composite
+  },
+  inspector: {                   // Click-to-inspect (see CLICK-TO-INSPECT), outputs.pixelInspector
+    bufferMeters: 0,             // 0 = the clicked pixel, else the mean within this radius
+    band: null                   // Band compared with the AOI mean and pinned points
+                                 // (null = first of config.indices)
+  },
+  rasterExport: {                // See EXPORT PERIOD RAW IMAGES
+    destination: 'drive',        // 'drive' | 'gcs' | 'asset'
+    bucket: null,                // gcs: bucket name
+    assetFolder: null,           // asset: e.g. 'projects/my-project/assets/karura'
+    bands: null,                 // Band subset, e.g. ['NDVI', 'EVI']; null = all bands
+    crs: null,                   // e.g. 'EPSG:32737'; null = Earth Engine default
+    scale: null,                 // Metres; null = config.scale
+    cloudOptimized: false,       // Cloud-Optimised GeoTIFF (drive / gcs)
+    layout: 'perPeriod',         // 'perPeriod' | 'timeStack'
+    nameTemplate: 'Indices_RGB_{label}_{method}{filled}'
+  },
+  gifOverlay: {                  // Drawn on every GIF panel (see GIF FRAME OVERLAYS)
+    legend: true,                // Colour bar with min/max labels on index panels
+    scaleBar: true,
+    northArrow: true,
+    outline: true                // AOI outline
+  },
+  outputs: {
+    exportImages: true,          // Raster export per period or as a time stack (rasterExport)
+    exportTable: false,          // Export.table.toDrive of per-period statistics
+    timeSeriesCharts: true,      // One normalized time series chart per index
+    combinedCharts: true,        // NDVI + EVI chart and VIs + red/NIR reflectances chart
+    imageCountChart: true,
+    contaminationChart: true,
+    indexGifs: true,             // One GIF per index
+    rgbGif: true,
+    tiledGifs: [                 // Comparison GIFs, optional columns for a grid (see gifPanel)
+      {title: 'NDVI vs EVI',  panels: ['ndvi', 'evi']},
+      {title: 'Sat vs NDVI',  panels: ['sat', 'ndvi']},
+      {title: 'Sat NDVI EVI', panels: ['sat', 'ndvi', 'evi']},
+      {title: 'All Indices',  panels: ['sat', 'ndvi', 'evi', 'savi']}
+    ],
+    stats: true,                 // Percentile stats used to pick visualization ranges
+    histograms: true,            // Histograms of the median composite
+    monthlyHistograms: ['nir', 'red', 'NDVI', 'EVI'],
+    pixelInspector: true,        // Click the map for pixel time series (pin points to compare)
+    testVisualization: false,    // First period's index layers only (see layerBrowser)
+    layerBrowser: true,          // Period slider over RGB/index layers with colour-bar legends
+    phenology: false,            // Phenology metric images, map layer and AOI-mean table
+    anomalies: false,            // Baseline climatology, anomaly images, charts and summary table
+    trend: false,                // Trend images, significance layers and greening/browning share
+    change: false,               // Change map, class areas (ha) and optional GeoTIFF export
+    featureStats: false,         // Per-feature statistics table and comparison charts
+    landCoverCharts: false       // Index time series per land-cover class
+  }
+};
+
+// Merge user overrides onto the defaults and validate the result
+function makeConfig(overrides) {
+  overrides = overrides || {};
+  var cfg = {};
+  var key;
+  for (key in defaultConfig) cfg[key] = defaultConfig[key];
+  for (key in overrides) cfg[key] = overrides[key];
+
+  // These groups are merged one level deep so a single setting can be changed
+  var groups = ['outputs', 'cloudMask', 'gapFill', 'smoothing', 'normalization', 'phenology',
+                'baseline', 'trend', 'change', 'batch', 'landCover', 'tableExport',
+                'rasterExport', 'cache', 'inspector', 'gifOverlay'];
+  groups.forEach(function(group) {
+    cfg[group] = {};
+    for (var k in defaultConfig[group]) cfg[group][k] = defaultConfig[group][k];
+    for (k in (overrides[group] || {})) cfg[group][k] = overrides[group][k];
+  });
+
+  validateConfig(cfg);
+  return cfg;
+}
+
+// Throw a descriptive error for any invalid setting
+function validateConfig(cfg) {
+  if (!cfg.aoi) {
+    throw new Error('config.aoi is required (e.g. Karura_outline or Morendat).');
+  }
+
+  if (typeof cfg.startYear !== 'number' || typeof cfg.endYear !== 'number' ||
+      cfg.startYear % 1 !== 0 || cfg.endYear % 1 !== 0) {
+    throw new Error('config.startYear and config.endYear must be whole years, got ' +
+                    cfg.startYear + ' and ' + cfg.endYear + '.');
+  }
+  if (cfg.endYear < cfg.startYear) {
+    throw new Error('config.endYear (' + cfg.endYear + ') is before config.startYear (' +
+                    cfg.startYear + ').');
+  }
+
+  validatePeriod(cfg.period);
+  validateComposite(cfg.composite);
+  validateCloudMask(cfg.cloudMask);
+  validateGapFill(cfg.gapFill);
+  validateSmoothing(cfg.smoothing, cfg.indices);
+  validateNormalization(cfg);
+  validateLandCover(cfg);
+  validateTableExport(cfg);
+  validateRasterExport(cfg);
+  validateCache(cfg);
+
+  ['cloudyPixelPercentage', 'cloudProbThreshold'].forEach(function(name) {
+    var value = cfg[name];
+    if (typeof value !== 'number' || value < 0 || value > 100) {
+      throw new Error('config.' + name + ' must be between 0 and 100, got ' + value + '.');
+    }
+  });
+
+  if (typeof cfg.scale !== 'number' || cfg.scale <= 0) {
+    throw new Error('config.scale must be a positive number of metres, got ' + cfg.scale + '.');
+  }
+
+  if (!Array.isArray(cfg.sensors) || cfg.sensors.length === 0) {
+    throw new Error('config.sensors must be a non-empty list, e.g. [\'S2\'] or [\'L8\', \'S2\'].');
+  }
+  cfg.sensors.forEach(function(id) {
+    if (!SENSORS[id]) {
+      throw new Error('Unknown sensor "' + id + '" in config.sensors. Supported: ' +
+                      SUPPORTED_SENSORS.join(', ') + '.');
+    }
+  });
+
+  if (!Array.isArray(cfg.indices) || cfg.indices.length === 0) {
+    throw new Error('config.indices must be a non-empty list, e.g. [\'NDVI\', \'EVI\'].');
+  }
+  cfg.indices.forEach(function(name) {
+    if (SUPPORTED_INDICES.indexOf(name) === -1) {
+      throw new Error('Unknown index "' + name + '" in config.indices. Supported: ' +
+                      SUPPORTED_INDICES.join(', ') + '.');
+    }
+    // e.g. NDRE needs red-edge bands, which Landsat does not have
+    var available = commonBands(cfg.sensors);
+    INDEX_REGISTRY[name].bands.forEach(function(band) {
+      if (available.indexOf(band) === -1) {
+        throw new Error('Index ' + name + ' needs band "' + band + '", which is not available from ' +
+                        'every sensor in config.sensors (' + cfg.sensors.join(', ') + ').');
+      }
+    });
+  });
+
+  if (cfg.outputs.phenology) {
+    validatePhenology(cfg);
+  }
+  if (cfg.outputs.anomalies) {
+    validateBaseline(cfg);
+  }
+  if (cfg.outputs.trend) {
+    validateTrend(cfg);
+  }
+  if (cfg.outputs.change) {
+    validateChange(cfg);
+  }
+  if (cfg.outputs.featureStats) {
+    validateBatch(cfg);
+  }
+  if (cfg.outputs.pixelInspector) {
+    validateInspector(cfg);
+  }
+  if (cfg.outputs.indexGifs || cfg.outputs.rgbGif || cfg.outputs.tiledGifs.length > 0) {
+    validateGifOverlay(cfg);
+  }
+  if (cfg.outputs.landCoverCharts && cfg.landCover.source === 'none') {
+    throw new Error('config.outputs.landCoverCharts needs config.landCover.source.');
+  }
+
+  if (typeof cfg.exportFolder !== 'string' || cfg.exportFolder === '') {
+    throw new Error('config.exportFolder must be a non-empty string.');
+  }
+
+  // Tiled GIF panels must resolve to a known panel type (see gifPanel)
+  cfg.outputs.tiledGifs.forEach(function(gif) {
+    if (!gif.panels || gif.panels.length === 0) {
+      throw new Error('Tiled GIF "' + gif.title + '" needs at least one panel.');
+    }
+    if (gif.columns !== undefined &&
+        (gif.columns !== Math.floor(gif.columns) || gif.columns < 1)) {
+      throw new Error('Tiled GIF "' + gif.title + '" columns must be a positive integer.');
+    }
+    gif.panels.forEach(function(panel) {
+      try {
+        gifPanel(panel, cfg);
+      } catch (e) {
+        throw new Error('Tiled GIF "' + gif.title + '": ' + e.message);
+      }
+    });
+  });
+
+  // Monthly histograms can only be drawn for bands that exist in the composite
+  cfg.outputs.monthlyHistograms.forEach(function(band) {
+    if (REFLECTANCE_BANDS.indexOf(band) === -1 && cfg.indices.indexOf(band) === -1) {
+      throw new Error('Monthly histogram band "' + band + '" is not in config.indices or ' +
+                      REFLECTANCE_BANDS.join(', ') + '.');
+    }
+  });
+}
+
+// Run profile for this session
+var config = makeConfig({
+  //Karura - Forest area
+  aoi: Karura_outline,
+
+  //Naivasha - Agricultural area - Irrigated
+  // aoi: Morendat,
+
+  startYear: 2024,
+  endYear: 2024
+
+  // Compositing period, e.g. dekads for the irrigated Morendat plots
+  // period: {type: 'dekad'}
+  // period: {type: 'days', days: 16}
+  // period: {type: 'season', seasons: KENYA_SEASONS}
+});
+
+// Center the map view over the AOI with zoom level 10
+Map.centerObject(config.aoi, 10);
+
+//=====================================================================================================
+//                          MULTI-YEAR PERIOD INDEX FUNCTION (Safe Normalization)
+//*****************************************************************************************************
+// One composite per period from buildPeriods(cfg) (calendar months by default). Each image carries
+// periodStart/periodEnd (millis), periodLabel, plus year/month of the period start. The
+// *_Normalized bands follow config.normalization (see INDEX NORMALIZATION). Periods found in the
+// asset cache are loaded instead of recomputed (see COMPOSITE CACHE).
+function monthlyIndicesRange(cfg) {
+  var aoi = cfg.aoi;
+  var bandNames = compositeBandNames(cfg.indices);
+  var periods = buildPeriods(cfg);
+
+  // Overall date span covered by the periods (custom ranges may be unordered)
+  var starts = periods.map(function(p) { return p.start; }).sort();
+  var ends = periods.map(function(p) { return p.end; }).sort();
+
+  // Masked scenes of every selected sensor, in common band names (see SENSORS)
+  var s2 = cfg.sensors.map(function(id) {
+    return loadSensorCollection(id, cfg, starts[0], ends[ends.length - 1]);
+  }).reduce(function(merged, col) {
+    return merged.merge(col);
+  });
+
+  // Only the periods missing from the cache are computed
+  var cached = loadCachedComposites(cfg);
+  var todo = ee.List(periods);
+  if (cfg.cache.mode !== 'off') {
+    var cachedPeriods = cached.aggregate_array('cachePeriod');
+    todo = todo.map(function(period) {
+      period = ee.Dictionary(period);
+      var id = ee.String(period.get('start')).cat('_').cat(period.get('end'));
+      return ee.Algorithms.If(cachedPeriods.contains(id), null, period);
+    }, true); // drop cached periods
+  }
+
+  var composites = todo.map(function(period) {
+    period = ee.Dictionary(period);
+    var start = ee.Date(period.get('start'));
+    var end   = ee.Date(period.get('end'));
+    var cachePeriod = ee.String(period.get('start')).cat('_').cat(period.get('end'));
+    var collection = s2.filterDate(start, end);
+    var count      = collection.size();
+    var contaminationMean = ee.Algorithms.If(
+      collection.size().gt(0),
+      collection.aggregate_mean('contamination'),
+      0
+    );
+    // Sensors contributing to this period, e.g. 'L8+S2'
+    var sensor = ee.List(collection.aggregate_array('sensor')).distinct().sort().join('+');
+    // % of the period's scenes that had no cloud probability data
+    var cloudProbMissing = ee.Algorithms.If(
+      collection.size().gt(0),
+      ee.Number(collection.aggregate_mean('cloudProbMissing')).multiply(100),
+      0
+    );
+    var composite  = compositeCollection(collection, cfg).clip(aoi).toFloat();
+        
+    return ee.Algorithms.If(
+      count.gt(0),
+      (function() {
+        // --- Raw indices (from INDEX_REGISTRY) ---
+        var stacked = computeIndices(composite, cfg.indices);
+
+        // --- Normalization statistics (the stretch itself: normalizeIndices) ---
+        //[A good rule of thumb is to set min and max to values 
+        //that represent the 2nd and 98th percentile of the data 
+        //within your area of interest.
+        //Source: https://developers.google.com/earth-engine/guides/ic_visualization]
+        // (always stored when caching, so cached composites work with every mode)
+        var needStats = cfg.cache.mode !== 'off' ||
+          (cfg.normalization.mode !== 'fixed' && cfg.normalization.mode !== 'reference');
+        var stats = needStats ? normalizationStats(stacked, cfg) : ee.Dictionary({});
+
+        var reflectances = composite.select(REFLECTANCE_BANDS); //nir, added to study saturation
+        
+        return stacked.addBands(reflectances)
+          .setMulti(stats)
+          .set('year', start.get('year'))
+          .set('month', start.get('month'))
+          .set('periodStart', start.millis())
+          .set('periodEnd', end.millis())
+          .set('periodLabel', period.get('label'))
+          .set('count', count)
+          .set('sensor', sensor)
+          .set('compositeMethod', compositeMethodName(cfg.composite))
+          .set('cloudMaskMethod', cfg.cloudMask.method)
+          .set('contamination', contaminationMean)   // 👈 add this
+          .set('cloudProbMissing', cloudProbMissing)
+          .set('noData', 0)
+          .set('filled', 0)
+          .set('cachePeriod', cachePeriod)
+          .set('cached', 0)
+          .set('system:time_start', start.millis());
+      })(), //end true branch
+
+      // --- No-data branch: return constant 0 bands to keep schema consistent ---
+      ee.Image.constant(bandNames.map(function() { return 0; }))
+        .rename(bandNames)
+        .updateMask(ee.Image(0))   // mask out everything
+        .toFloat() // Ensure Float type to enable date ranges before 2021 to work
+        .set('year', start.get('year'))
+        .set('month', start.get('month'))
+        .set('periodStart', start.millis())
+        .set('periodEnd', end.millis())
+        .set('periodLabel', period.get('label'))
+        .set('count', 0)
+        .set('sensor', '')
+        .set('compositeMethod', compositeMethodName(cfg.composite))
+        .set('cloudMaskMethod', cfg.cloudMask.method)
+        .set('contamination', 0)   // 👈 add this
+        .set('cloudProbMissing', 0)
+        .set('noData', 1)
+        .set('filled', 0)
+        .set('cachePeriod', cachePeriod)
+        .set('cached', 0)
+        .set('system:time_start', start.millis())
+    ); //end If
+  }); //end periods map
+
+  return normalizeIndices(ee.ImageCollection.fromImages(composites).merge(cached), cfg)
+    .sort('system:time_start');
+} // end monthly indices range
+
+//=====================================================================================================
+//                          COMPOSITE CACHE (Earth Engine ImageCollection asset)
+//*****************************************************************************************************
+// Recomputing every composite from raw scenes re-runs the whole masking pipeline. With
+// config.cache.mode 'read' or 'readWrite', monthlyIndicesRange loads the periods already stored in
+// the ImageCollection asset config.cache.assetId and only computes the missing ones; 'readWrite'
+// also exports newly computed, complete periods into the collection (one asset per period).
+// Create the empty ImageCollection asset once (Assets > NEW > Image collection).
+//
+// Cached images hold the raw index and reflectance bands plus every composite property, and:
+//   aoiId          config.cache.aoiId
+//   cachePeriod    '<start>_<end>' of the period (ISO dates, end exclusive)
+//   cacheKey       hash of the settings that change a composite (AOI id, sensors, compositing,
+//                  masking, thresholds, scale, indices, normalization percentiles)
+//   cacheSettings  those settings as JSON, for reading in the asset browser
+// Only images with the run's cacheKey are reused, so changing e.g. the cloud mask recomputes.
+
+// Throw a descriptive error for an invalid config.cache
+function validateCache(cfg) {
+  var cache = cfg.cache;
+  var modes = ['off', 'read', 'readWrite'];
+  if (!cache || modes.indexOf(cache.mode) === -1) {
+    throw new Error('config.cache.mode must be one of ' + modes.join(', ') + '.');
+  }
+  if (cache.mode !== 'off' && (typeof cache.assetId !== 'string' || cache.assetId === '')) {
+    throw new Error('config.cache.assetId must name an ImageCollection asset, e.g. ' +
+                    '\'projects/my-project/assets/karura_composites\'.');
+  }
+  if (typeof cache.aoiId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(cache.aoiId)) {
+    throw new Error('config.cache.aoiId must be a short id of letters, digits, \'-\' or \'_\'.');
+  }
+}
+
+// Settings that change a composite, as a JSON string
+function cacheSettings(cfg) {
+  return JSON.stringify({
+    aoiId: cfg.cache.aoiId,
+    sensors: cfg.sensors,
+    composite: cfg.composite,
+    cloudMask: cfg.cloudMask,
+    cloudyPixelPercentage: cfg.cloudyPixelPercentage,
+    cloudProbThreshold: cfg.cloudProbThreshold,
+    scale: cfg.scale,
+    indices: cfg.indices,
+    percentiles: cfg.normalization.percentiles
+  });
+}
+
+// Short stable hash (djb2, hex) of cacheSettings
+function cacheKey(cfg) {
+  var text = cacheSettings(cfg);
+  var hash = 5381;
+  for (var i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+// Cached composites for this run's settings (empty when the cache is off)
+function loadCachedComposites(cfg) {
+  if (cfg.cache.mode === 'off') {
+    return ee.ImageCollection([]);
+  }
+  // The key leaves out the dates: keep only this run's periods (one image each)
+  var periodIds = buildPeriods(cfg).map(function(p) { return p.start + '_' + p.end; });
+  return ee.ImageCollection(cfg.cache.assetId)
+    .filter(ee.Filter.eq('cacheKey', cacheKey(cfg)))
+    .filter(ee.Filter.inList('cachePeriod', periodIds))
+    .distinct('cachePeriod')
+    .map(function(img) {
+      return img.clip(cfg.aoi).set('cached', 1);
+    });
+}
+
+// Export newly computed, complete composites of a monthlyIndicesRange collection to the cache
+function cacheComposites(ic, cfg) {
+  var key = cacheKey(cfg);
+  var settings = cacheSettings(cfg);
+  var bands = cfg.indices.concat(REFLECTANCE_BANDS);
+  var todo = ic.filter(ee.Filter.eq('cached', 0));
+  todo.filter(ee.Filter.eq('noData', 0))
+    .filter(ee.Filter.lte('periodEnd', Date.now())) // the current period is still changing
+    .evaluate(function(images) {
+      images.features.forEach(function(f) {
+        var name = (cfg.cache.aoiId + '_' + f.properties.cachePeriod + '_' + key)
+                     .replace(/[^A-Za-z0-9_-]/g, '_');
+        // Computed images have no asset id: pick the composite by period on the server.
+        // select() keeps the properties, including the normalization statistics
+        // (<index>_p2/_p98/_mean/_stdDev) that normalizeIndices reads back from the cache.
+        var composite = ee.Image(todo.filter(ee.Filter.eq('cachePeriod', f.properties.cachePeriod))
+                                     .first());
+        Export.image.toAsset({
+          image: composite.select(bands)
+            .set('aoiId', cfg.cache.aoiId)
+            .set('cacheKey', key)
+            .set('cacheSettings', settings),
+          description: name,
+          assetId: cfg.cache.assetId + '/' + name,
+          region: cfg.aoi,
+          scale: cfg.scale,
+          maxPixels: 1e13
+        });
+        show('Info', '✅ Caching composite', f.properties.periodLabel);
+      });
+    });
+}
+
+//=====================================================================================================
+//                          INDEX NORMALIZATION
+//*****************************************************************************************************
+// How the *_Normalized bands are stretched (config.normalization.mode):
+//   'perPeriod'  each composite by its own AOI percentiles (default p2/p98). Comparable within a
+//                frame, but it erases real differences between periods – avoid for time series
+//   'global'     one stretch for the whole run: lowest per-period low percentile to highest
+//                per-period high percentile
+//   'fixed'      theoretical range of each index (INDEX_REGISTRY range, or normalization.ranges)
+//   'reference'  like 'global', from the composites of normalization.reference years
+//   'zscore'     (value - mean) / std, pooled over all AOI pixels of the run (not clamped to 0–1)
+// Min-max modes are clamped to 0–1. The stretch is stored on every image as <INDEX>_normMin /
+// <INDEX>_normMax (zscore: <INDEX>_normMean / <INDEX>_normStd) plus 'normalization' (the mode).
+
+// Throw a descriptive error for an invalid config.normalization
+function validateNormalization(cfg) {
+  var norm = cfg.normalization;
+  var modes = ['perPeriod', 'global', 'fixed', 'reference', 'zscore'];
+  if (!norm || modes.indexOf(norm.mode) === -1) {
+    throw new Error('config.normalization.mode must be one of ' + modes.join(', ') + '.');
+  }
+  var p = norm.percentiles;
+  if (!Array.isArray(p) || p.length !== 2 || !(p[0] >= 0 && p[0] < p[1] && p[1] <= 100)) {
+    throw new Error('config.normalization.percentiles must be [low, high] within 0–100, got ' +
+                    p + '.');
+  }
+  Object.keys(norm.ranges || {}).forEach(function(name) {
+    var range = norm.ranges[name];
+    if (!Array.isArray(range) || range.length !== 2 || !(range[0] < range[1])) {
+      throw new Error('config.normalization.ranges.' + name + ' must be [min, max] with min < max.');
+    }
+  });
+  if (norm.mode === 'reference') {
+    var ref = norm.reference;
+    if (!ref || typeof ref.startYear !== 'number' || typeof ref.endYear !== 'number' ||
+        ref.endYear < ref.startYear) {
+      throw new Error('config.normalization.reference needs startYear <= endYear.');
+    }
+    if (cfg.period.type === 'custom') {
+      throw new Error('Reference normalization needs a repeating period type, not custom ranges.');
+    }
+  }
+}
+
+// Per-period AOI statistics used by the stretch, e.g. NDVI_p2, NDVI_p98, NDVI_mean, NDVI_stdDev
+function normalizationStats(stacked, cfg) {
+  return stacked.reduceRegion({
+    reducer: ee.Reducer.percentile(cfg.normalization.percentiles)
+      .combine(ee.Reducer.mean(), '', true)
+      .combine(ee.Reducer.stdDev(), '', true),
+    geometry: cfg.aoi,
+    scale: cfg.scale,
+    maxPixels: 1e13
+  });
+}
+
+// Valid composites of the normalization.reference years (per-period statistics attached)
+function referenceComposites(cfg) {
+  var refCfg = {};
+  for (var key in cfg) refCfg[key] = cfg[key];
+  refCfg.startYear = cfg.normalization.reference.startYear;
+  refCfg.endYear = cfg.normalization.reference.endYear;
+  refCfg.normalization = {mode: 'perPeriod', percentiles: cfg.normalization.percentiles};
+  return monthlyIndicesRange(refCfg).filter(ee.Filter.neq('noData', 1));
+}
+
+// Replace the *_Normalized bands of every composite according to config.normalization
+function normalizeIndices(ic, cfg) {
+  var norm = cfg.normalization;
+  var lo = '_p' + norm.percentiles[0];
+  var hi = '_p' + norm.percentiles[1];
+  var zscore = norm.mode === 'zscore';
+  var valid = ic.filter(ee.Filter.neq('noData', 1));
+  var source = norm.mode === 'reference' ? referenceComposites(cfg) : valid;
+
+  // Run-wide stretch per index: [min, max], or [mean, std] for zscore
+  var runStretch = {};
+  cfg.indices.forEach(function(name) {
+    if (norm.mode === 'fixed') {
+      var range = (norm.ranges && norm.ranges[name]) || INDEX_REGISTRY[name].range;
+      runStretch[name] = [ee.Number(range[0]), ee.Number(range[1])];
+    } else if (norm.mode === 'global' || norm.mode === 'reference') {
+      runStretch[name] = [ee.Number(source.aggregate_min(name + lo)),
+                          ee.Number(source.aggregate_max(name + hi))];
+    } else if (zscore) {
+      // Pooled over periods: mean of means, and E[x²] - mean² for the variance
+      var means = ee.Array(valid.aggregate_array(name + '_mean'));
+      var stds = ee.Array(valid.aggregate_array(name + '_stdDev'));
+      var mean = ee.Number(means.reduce(ee.Reducer.mean(), [0]).get([0]));
+      var moment = ee.Number(stds.pow(2).add(means.pow(2)).reduce(ee.Reducer.mean(), [0]).get([0]));
+      runStretch[name] = [mean, moment.subtract(mean.pow(2)).max(0).sqrt()];
+    }
+  });
+
+  return ic.map(function(img) {
+    var out = img.set('normalization', norm.mode);
+    var normalized = cfg.indices.map(function(name) {
+      var stretch = runStretch[name];
+      if (norm.mode === 'perPeriod') {
+        // Use 0–1 when the period has no percentiles (e.g. no-data placeholder)
+        var rawMin = img.get(name + lo);
+        var rawMax = img.get(name + hi);
+        stretch = [ee.Number(ee.Algorithms.If(rawMin, rawMin, 0)),
+                   ee.Number(ee.Algorithms.If(rawMax, rawMax, 1))];
+      }
+      var band = img.select(name).toFloat();
+      out = zscore ?
+        out.set(name + '_normMean', stretch[0]).set(name + '_normStd', stretch[1]) :
+        out.set(name + '_normMin', stretch[0]).set(name + '_normMax', stretch[1]);
+      return zscore ?
+        band.subtract(stretch[0]).divide(stretch[1].max(0.000001)) :
+        band.subtract(stretch[0]).divide(stretch[1].subtract(stretch[0]).max(0.000001))
+            .clamp(0, 1); // Ensure values stay 0-1
+    });
+    normalized = ee.Image(normalized)
+      .rename(cfg.indices.map(function(name) { return name + '_Normalized'; }))
+      .toFloat();
+    return out.addBands(normalized, null, true)
+      .select(compositeBandNames(cfg.indices));
+  });
+}
+
+// Value range of the *_Normalized bands for charts and GIFs
+function normalizedRange() {
+  return config.normalization.mode === 'zscore' ? {min: -3, max: 3} : {min: 0, max: 1};
+}
+
+//=====================================================================================================
+//                          GAP-FILLING OF NO-DATA PERIODS (optional)
+//*****************************************************************************************************
+// Optional pass after monthlyIndicesRange (config.gapFill):
+//   {method: 'none'}                        leave masked periods/pixels as they are (default)
+//   {method: 'linear', maxGapDays: 90,      per-pixel linear interpolation between the nearest
+//    climatologyFallback: true}             valid composites before and after (within maxGapDays),
+//                                           then the climatology for pixels still missing
+//   {method: 'climatology'}                 mean of the same calendar month over the run
+// Filled pixels are flagged in a 'filled' band (1 = interpolated, 2 = climatology); composites
+// with any filled pixels get filled = 1, filledPercent and noData = 0, so GIF labels and export
+// names can mark them.
+// Climatology uses the run itself, so it is most useful for multi-year runs.
+
+// Throw a descriptive error for an invalid config.gapFill
+function validateGapFill(gapFill) {
+  var methods = ['none', 'linear', 'climatology'];
+  if (!gapFill || methods.indexOf(gapFill.method) === -1) {
+    throw new Error('config.gapFill.method must be one of ' + methods.join(', ') + '.');
+  }
+  if (gapFill.method === 'linear' &&
+      (typeof gapFill.maxGapDays !== 'number' || gapFill.maxGapDays <= 0)) {
+    throw new Error('config.gapFill.maxGapDays must be a positive number of days, got ' +
+                    gapFill.maxGapDays + '.');
+  }
+}
+
+function fillGaps(ic, cfg) {
+  var bands = compositeBandNames(cfg.indices);
+  var method = cfg.gapFill.method;
+  var useClimatology = method === 'climatology' || cfg.gapFill.climatologyFallback !== false;
+
+  // Fully masked image with the composite schema (+ time band), used when a side has no match
+  var empty = ee.Image.constant(bands.map(function() { return 0; }).concat([0]))
+    .rename(bands.concat(['t']))
+    .toFloat()
+    .updateMask(ee.Image(0));
+
+  // Time band: acquisition time of each valid pixel (days since epoch)
+  var valid = ic.filter(ee.Filter.neq('noData', 1)).map(function(img) {
+    var t = ee.Image.constant(ee.Number(img.get('system:time_start')).divide(86400000))
+      .rename('t').toFloat()
+      .updateMask(img.select(bands[0]).mask());
+    return img.select(bands).addBands(t);
+  });
+
+  var joined = ic;
+  if (method === 'linear') {
+    var maxDiff = ee.Filter.maxDifference({
+      difference: cfg.gapFill.maxGapDays * 86400000,
+      leftField: 'system:time_start',
+      rightField: 'system:time_start'
+    });
+    // 'before': earlier composites (latest last), 'after': later composites (earliest last)
+    joined = ee.Join.saveAll({matchesKey: 'before', ordering: 'system:time_start',
+                              ascending: true, outer: true})
+      .apply({
+        primary: ic,
+        secondary: valid,
+        condition: ee.Filter.and(maxDiff, ee.Filter.greaterThan({
+          leftField: 'system:time_start', rightField: 'system:time_start'}))
+      });
+    joined = ee.Join.saveAll({matchesKey: 'after', ordering: 'system:time_start',
+                              ascending: false, outer: true})
+      .apply({
+        primary: joined,
+        secondary: valid,
+        condition: ee.Filter.and(maxDiff, ee.Filter.lessThan({
+          leftField: 'system:time_start', rightField: 'system:time_start'}))
+      });
+  }
+
+  return ee.ImageCollection(joined).map(function(img) {
+    img = ee.Image(img);
+    var original = img.select(bands);
+    var filled = original;
+    var filledFlag = ee.Image(0);
+
+    if (method === 'linear') {
+      // mosaic() keeps the last image on top, i.e. the nearest composite on each side
+      var beforeList = ee.List(ee.Algorithms.If(img.get('before'), img.get('before'), []));
+      var afterList = ee.List(ee.Algorithms.If(img.get('after'), img.get('after'), []));
+      var before = ee.ImageCollection([empty]).merge(ee.ImageCollection.fromImages(beforeList)).mosaic();
+      var after = ee.ImageCollection([empty]).merge(ee.ImageCollection.fromImages(afterList)).mosaic();
+
+      var t = ee.Number(img.get('system:time_start')).divide(86400000);
+      var weight = ee.Image.constant(t).subtract(before.select('t'))
+        .divide(after.select('t').subtract(before.select('t')));
+      var interpolated = before.select(bands)
+        .add(after.select(bands).subtract(before.select(bands)).multiply(weight));
+
+      filledFlag = filledFlag.where(original.select(bands[0]).mask().not()
+                                      .and(interpolated.select(bands[0]).mask()), 1);
+      filled = filled.unmask(interpolated);
+    }
+
+    if (useClimatology) {
+      var climatology = valid.filter(ee.Filter.eq('month', img.get('month')))
+        .select(bands)
+        .mean();
+      // mean() of an empty collection has no bands, so only fill when there is a climatology
+      climatology = ee.Image(ee.Algorithms.If(
+        valid.filter(ee.Filter.eq('month', img.get('month'))).size().gt(0),
+        climatology,
+        empty.select(bands)
+      ));
+      filledFlag = filledFlag.where(filled.select(bands[0]).mask().not()
+                                      .and(climatology.select(bands[0]).mask()), 2);
+      filled = filled.unmask(climatology);
+    }
+
+    filled = filled.clip(cfg.aoi).toFloat();
+    var filledBand = filledFlag.rename('filled').toFloat().clip(cfg.aoi)
+      .updateMask(filled.select(bands[0]).mask());
+
+    // Share of the AOI's valid pixels that were filled (0 when nothing was filled)
+    var stats = filledBand.gt(0).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: cfg.aoi,
+      scale: cfg.scale,
+      maxPixels: 1e13
+    });
+    var filledPercent = ee.Number(ee.Algorithms.If(stats.get('filled'), stats.get('filled'), 0))
+      .multiply(100);
+    var anyFilled = filledPercent.gt(0);
+
+    // A placeholder (noData) period that now has pixels becomes a filled composite
+    return filled.addBands(filledBand)
+      .copyProperties({source: img, exclude: ['before', 'after']})
+      .set('system:time_start', img.get('system:time_start'))
+      .set('filled', anyFilled)
+      .set('filledPercent', filledPercent)
+      .set('noData', ee.Algorithms.If(anyFilled, 0, img.get('noData')))
+      .set('gapFillMethod', method);
+  });
+}
+
+//=====================================================================================================
+//                          TIME-SERIES SMOOTHING (optional)
+//*****************************************************************************************************
+// Optional pass over the composites (config.smoothing) that adds a '<band>_fitted' band next to
+// each smoothed band; the time series charts then plot raw and fitted curves together.
+//   {method: 'none'}                          no smoothing (default)
+//   {method: 'harmonic', harmonics: 2}        per-pixel harmonic (Fourier) regression:
+//                                             constant + trend + N cos/sin pairs with a 1-year period
+//   {method: 'savitzkyGolay', window: 5}      per-pixel quadratic Savitzky–Golay filter over 5, 7 or 9
+//                                             consecutive composites (masked neighbours take the
+//                                             centre value, series ends are clamped)
+// smoothing.bands lists the bands to smooth; null means every index and *_Normalized band.
+
+// Quadratic/cubic Savitzky–Golay convolution weights for equally spaced samples
+var SG_WEIGHTS = {
+  5: [-3, 12, 17, 12, -3].map(function(w) { return w / 35; }),
+  7: [-2, 3, 6, 7, 6, 3, -2].map(function(w) { return w / 21; }),
+  9: [-21, 14, 39, 54, 59, 54, 39, 14, -21].map(function(w) { return w / 231; })
+};
+
+// Throw a descriptive error for an invalid config.smoothing
+function validateSmoothing(smoothing, indices) {
+  var methods = ['none', 'harmonic', 'savitzkyGolay'];
+  if (!smoothing || methods.indexOf(smoothing.method) === -1) {
+    throw new Error('config.smoothing.method must be one of ' + methods.join(', ') + '.');
+  }
+  if (smoothing.method === 'harmonic' &&
+      [1, 2, 3, 4].indexOf(smoothing.harmonics) === -1) {
+    throw new Error('config.smoothing.harmonics must be 1, 2, 3 or 4, got ' +
+                    smoothing.harmonics + '.');
+  }
+  if (smoothing.method === 'savitzkyGolay' && [5, 7, 9].indexOf(smoothing.window) === -1) {
+    throw new Error('config.smoothing.window must be 5, 7 or 9, got ' + smoothing.window + '.');
+  }
+  (smoothing.bands || []).forEach(function(band) {
+    if (compositeBandNames(indices).indexOf(band) === -1) {
+      throw new Error('config.smoothing.bands: "' + band + '" is not one of ' +
+                      compositeBandNames(indices).join(', ') + '.');
+    }
+  });
+}
+
+// Bands that get a *_fitted band for this config ([] when smoothing is off)
+function smoothedBands(cfg) {
+  if (cfg.smoothing.method === 'none') return [];
+  if (cfg.smoothing.bands) return cfg.smoothing.bands;
+  return cfg.indices.concat(cfg.indices.map(function(name) { return name + '_Normalized'; }));
+}
+
+function smoothTimeSeries(ic, cfg) {
+  var bands = smoothedBands(cfg);
+  return cfg.smoothing.method === 'harmonic' ?
+    harmonicFit(ic, bands, cfg.smoothing.harmonics) :
+    savitzkyGolay(ic, bands, cfg.smoothing.window);
+}
+
+// Per-pixel harmonic regression; fitted values for every composite (including no-data periods)
+function harmonicFit(ic, bands, harmonics) {
+  var t0 = ee.Date(ic.aggregate_min('system:time_start'));
+  var independents = ['constant', 't'];
+  for (var k = 1; k <= harmonics; k++) {
+    independents.push('cos_' + k, 'sin_' + k);
+  }
+
+  // Time in years since the first composite, plus cos/sin terms
+  var withTerms = ic.map(function(img) {
+    var years = ee.Date(img.get('system:time_start')).difference(t0, 'year');
+    var t = ee.Image.constant(years).rename('t');
+    var terms = ee.Image.constant(1).rename('constant').addBands(t);
+    for (var h = 1; h <= harmonics; h++) {
+      var angle = t.multiply(2 * Math.PI * h);
+      terms = terms.addBands(angle.cos().rename('cos_' + h))
+                   .addBands(angle.sin().rename('sin_' + h));
+    }
+    return img.addBands(terms.toFloat());
+  });
+
+  // One coefficient image per band
+  var coefficients = bands.map(function(band) {
+    return withTerms.select(independents.concat([band]))
+      .reduce(ee.Reducer.linearRegression(independents.length, 1))
+      .select('coefficients')
+      .arrayProject([0])
+      .arrayFlatten([independents]);
+  });
+
+  return withTerms.map(function(img) {
+    var fitted = bands.map(function(band, i) {
+      return img.select(independents).multiply(coefficients[i])
+                .reduce(ee.Reducer.sum())
+                .rename(band + '_fitted');
+    });
+    return img.select(img.bandNames().removeAll(independents))
+              .addBands(ee.Image(fitted).toFloat())
+              .set('smoothing', 'harmonic_' + harmonics);
+  });
+}
+
+// Per-pixel Savitzky–Golay filter over consecutive composites
+function savitzkyGolay(ic, bands, window) {
+  var weights = SG_WEIGHTS[window];
+  var half = (window - 1) / 2;
+  var sorted = ic.sort('system:time_start');
+  var list = sorted.toList(sorted.size());
+  var last = list.size().subtract(1);
+  var fittedNames = bands.map(function(band) { return band + '_fitted'; });
+
+  var smoothed = ee.List.sequence(0, last).map(function(i) {
+    i = ee.Number(i);
+    var img = ee.Image(list.get(i));
+    var centre = img.select(bands);
+
+    var fitted = ee.Image.constant(bands.map(function() { return 0; })).rename(bands);
+    for (var k = -half; k <= half; k++) {
+      var j = i.add(k).max(0).min(last); // clamp at the series ends
+      var neighbour = ee.Image(list.get(j)).select(bands).unmask(centre);
+      fitted = fitted.add(neighbour.multiply(weights[k + half]));
+    }
+
+    return img.addBands(fitted.updateMask(centre.mask()).rename(fittedNames).toFloat())
+              .set('smoothing', 'savitzkyGolay_' + window);
+  });
+
+  return ee.ImageCollection.fromImages(smoothed);
+}
+
+//=====================================================================================================
+//                          PHENOLOGY METRICS (optional)
+//*****************************************************************************************************
+// Threshold-based season metrics for one index (config.phenology.index), per pixel and for the
+// AOI-mean series, for every year and every season window in config.phenology.seasons.
+// Kenya has two rainy seasons, so the default splits each year into long rains (Mar–Aug) and
+// short rains (Sep–Feb); a single {startMonth: 1, endMonth: 12} window gives one season per year.
+// A window whose endMonth is before its startMonth runs into the following year.
+//
+// Metrics (bands '<season>_<metric>'; dates are days since 1 January of the season's year,
+// taken from the composite start dates):
+//   SOS        start of season: first composite before the peak at or above the threshold
+//   POS        peak of season: date of the maximum
+//   peakValue  maximum index value
+//   EOS        end of season: last composite after the peak at or above the threshold
+//   LOS        length of season (EOS - SOS, days)
+//   amplitude  peak value minus the seasonal minimum
+//   integral   integrated greenness: sum of (value - minimum) x period length (days) from SOS to EOS
+// threshold = minimum + thresholdFraction x amplitude. The fitted band is used when
+// config.smoothing produced one, which makes the dates far less sensitive to cloud noise.
+
+var PHENOLOGY_METRICS = ['SOS', 'POS', 'peakValue', 'EOS', 'LOS', 'amplitude', 'integral'];
+
+// Throw a descriptive error for an invalid config.phenology
+function validatePhenology(cfg) {
+  var phenology = cfg.phenology;
+  if (!phenology || cfg.indices.indexOf(phenology.index) === -1) {
+    throw new Error('config.phenology.index must be one of config.indices (' +
+                    cfg.indices.join(', ') + ').');
+  }
+  if (typeof phenology.thresholdFraction !== 'number' ||
+      phenology.thresholdFraction <= 0 || phenology.thresholdFraction >= 1) {
+    throw new Error('config.phenology.thresholdFraction must be between 0 and 1, got ' +
+                    phenology.thresholdFraction + '.');
+  }
+  if (!Array.isArray(phenology.seasons) || phenology.seasons.length === 0) {
+    throw new Error('config.phenology.seasons must be a non-empty list of ' +
+                    '{name, startMonth, endMonth} windows.');
+  }
+  var names = [];
+  phenology.seasons.forEach(function(season) {
+    if (!/^[A-Za-z0-9]+$/.test(season.name) || names.indexOf(season.name) !== -1) {
+      throw new Error('Phenology season names must be unique and alphanumeric, got "' +
+                      season.name + '".');
+    }
+    names.push(season.name);
+    [season.startMonth, season.endMonth].forEach(function(month) {
+      if (typeof month !== 'number' || month % 1 !== 0 || month < 1 || month > 12) {
+        throw new Error('Phenology season "' + season.name + '" months must be 1-12, got ' +
+                        month + '.');
+      }
+    });
+  });
+}
+
+// Index band the metrics are computed from (the fitted curve when smoothing is on)
+function phenologyBand(cfg) {
+  var index = cfg.phenology.index;
+  return smoothedBands(cfg).indexOf(index) !== -1 ? index + '_fitted' : index;
+}
+
+// Client-side list of {year, name, start, end} season windows over the run's years
+function seasonWindows(cfg) {
+  var windows = [];
+  for (var year = cfg.startYear; year <= cfg.endYear; year++) {
+    cfg.phenology.seasons.forEach(function(season) {
+      var endYear = season.endMonth < season.startMonth ? year + 1 : year;
+      windows.push({
+        year: year,
+        name: season.name,
+        start: isoDate(new Date(Date.UTC(year, season.startMonth - 1, 1))),
+        end: isoDate(new Date(Date.UTC(endYear, season.endMonth, 1))) // exclusive
+      });
+    });
+  }
+  return windows;
+}
+
+// Metrics image (PHENOLOGY_METRICS bands) for one band over one season window
+function phenologyMetrics(ic, band, window, fraction) {
+  var yearStart = ee.Date.fromYMD(window.year, 1, 1);
+
+  // value, composite date (doy) and period length (days), masked together
+  var series = ic.filterDate(window.start, window.end).map(function(img) {
+    var value = img.select(band).rename('value');
+    var doy = ee.Date(img.get('system:time_start')).difference(yearStart, 'day');
+    var days = ee.Number(img.get('periodEnd')).subtract(img.get('periodStart')).divide(86400000);
+    return value
+      .addBands(ee.Image.constant(doy).rename('doy'))
+      .addBands(ee.Image.constant(days).rename('days'))
+      .toFloat()
+      .updateMask(value.mask());
+  });
+
+  var peak = series.qualityMosaic('value');
+  var peakValue = peak.select('value');
+  var pos = peak.select('doy');
+  var base = series.select('value').min();
+  var amplitude = peakValue.subtract(base);
+  var threshold = base.add(amplitude.multiply(fraction));
+
+  var flagged = series.map(function(img) {
+    var doy = img.select('doy');
+    var above = img.select('value').gte(threshold);
+    return doy.updateMask(above.and(doy.lte(pos))).rename('sos')
+      .addBands(doy.updateMask(above.and(doy.gte(pos))).rename('eos'));
+  });
+  var sos = flagged.select('sos').min();
+  var eos = flagged.select('eos').max();
+
+  var integral = series.map(function(img) {
+    var doy = img.select('doy');
+    return img.select('value').subtract(base).multiply(img.select('days'))
+      .updateMask(doy.gte(sos).and(doy.lte(eos)));
+  }).sum();
+
+  return ee.Image.cat([sos, pos, peakValue, eos, eos.subtract(sos), amplitude, integral])
+    .rename(PHENOLOGY_METRICS)
+    .toFloat();
+}
+
+// One multi-band image per year with '<season>_<metric>' bands
+function phenologyImages(ic, cfg) {
+  var band = phenologyBand(cfg);
+  var images = [];
+  for (var year = cfg.startYear; year <= cfg.endYear; year++) {
+    var seasons = seasonWindows(cfg).filter(function(w) { return w.year === year; });
+    var bands = seasons.map(function(w) {
+      return phenologyMetrics(ic, band, w, cfg.phenology.thresholdFraction)
+        .rename(PHENOLOGY_METRICS.map(function(m) { return w.name + '_' + m; }));
+    });
+    images.push(ee.Image.cat(bands)
+      .clip(cfg.aoi)
+      .set('year', year)
+      .set('index', band)
+      .set('system:time_start', ee.Date.fromYMD(year, 1, 1).millis()));
+  }
+  return ee.ImageCollection.fromImages(images);
+}
+
+// Feature table of the metrics of the AOI-mean series (one row per year and season)
+function aoiPhenologyTable(ic, cfg) {
+  var band = phenologyBand(cfg);
+  var geometry = cfg.aoi.geometry();
+
+  // Replace each composite by a constant image of its AOI mean, so the per-pixel code is reused
+  var meanSeries = ic.map(function(img) {
+    var mean = img.select(band).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: geometry,
+      scale: cfg.scale,
+      maxPixels: 1e13
+    }).get(band);
+    var constant = ee.Algorithms.If(
+      ee.Algorithms.IsEqual(mean, null),
+      ee.Image.constant(0).updateMask(ee.Image(0)),
+      ee.Image.constant(mean)
+    );
+    return ee.Image(constant).rename(band).toFloat()
+      .copyProperties(img, ['system:time_start', 'periodStart', 'periodEnd']);
+  });
+
+  var rows = seasonWindows(cfg).map(function(w) {
+    var metrics = phenologyMetrics(meanSeries, band, w, cfg.phenology.thresholdFraction)
+      .reduceRegion({
+        reducer: ee.Reducer.first(),
+        geometry: geometry.centroid(cfg.scale),
+        scale: cfg.scale
+      });
+    var yearStart = ee.Date.fromYMD(w.year, 1, 1);
+    // Calendar dates for SOS / POS / EOS (empty when the season has no data)
+    var dates = ['SOS', 'POS', 'EOS'].map(function(m) {
+      var days = metrics.get(m);
+      return ee.Algorithms.If(ee.Algorithms.IsEqual(days, null), '',
+                              yearStart.advance(days, 'day').format('YYYY-MM-dd'));
+    });
+    return ee.Feature(null, metrics)
+      .set('year', w.year)
+      .set('season', w.name)
+      .set('index', band)
+      .set('SOS_date', dates[0])
+      .set('POS_date', dates[1])
+      .set('EOS_date', dates[2]);
+  });
+  return ee.FeatureCollection(rows);
+}
+
+//=====================================================================================================
+//                          BASELINE CLIMATOLOGY & ANOMALIES (optional)
+//*****************************************************************************************************
+// Compares every composite of the run (the target years) with its normal from a reference period
+// (config.baseline), e.g. "Karura NDVI in Aug 2024 was 1.8σ below its 2018–2023 normal".
+// The reference composites are built with the same sensors, masking and compositing settings and
+// grouped by their position in the year (periodKey: the periodLabel without the year, e.g. 'Aug',
+// 'Aug-D2', 'MAM'), so month, dekad, N-day and season periods are supported, custom ranges are not.
+//
+// Climatology bands per period: <band>_mean, <band>_stdDev, <band>_p10, <band>_p50, <band>_p90
+// Anomaly bands per composite:  <band>_anomaly   (value - mean)
+//                               <band>_zscore    (anomaly / stdDev)
+//                               <band>_pctNormal (value / mean x 100)
+
+// Throw a descriptive error for an invalid config.baseline
+function validateBaseline(cfg) {
+  var baseline = cfg.baseline;
+  if (!baseline || typeof baseline.startYear !== 'number' || typeof baseline.endYear !== 'number' ||
+      baseline.startYear % 1 !== 0 || baseline.endYear % 1 !== 0 ||
+      baseline.endYear < baseline.startYear) {
+    throw new Error('config.baseline needs whole startYear <= endYear, got ' +
+                    (baseline && baseline.startYear) + ' and ' + (baseline && baseline.endYear) + '.');
+  }
+  if (cfg.period.type === 'custom') {
+    throw new Error('config.baseline needs a repeating period type (month, dekad, days or season), ' +
+                    'not custom ranges.');
+  }
+  (baseline.bands || []).forEach(function(band) {
+    if (cfg.indices.indexOf(band) === -1 && REFLECTANCE_BANDS.indexOf(band) === -1) {
+      throw new Error('Baseline band "' + band + '" is not in config.indices or ' +
+                      REFLECTANCE_BANDS.join(', ') + '.');
+    }
+  });
+}
+
+// Bands compared with the baseline (null = every selected index, not normalized)
+function baselineBands(cfg) {
+  return cfg.baseline.bands || cfg.indices;
+}
+
+// periodKey: position of the period in the year ('2024-Aug-D2' -> 'Aug-D2'). N-day windows are
+// keyed by their index in the year ('0', '1', ...), as their dates shift after a leap day.
+function withPeriodKey(ic, cfg) {
+  return ic.map(function(img) {
+    var key = cfg.period.type === 'days' ?
+      ee.Date(img.get('periodStart')).getRelative('day', 'year')
+        .divide(cfg.period.days).floor().format('%.0f') :
+      ee.String(img.get('periodLabel')).slice(5);
+    return img.set('periodKey', key);
+  });
+}
+
+// Period keys of one year, in calendar order (leap year, so every N-day window is included)
+function periodKeys(cfg) {
+  return buildPeriods({period: cfg.period, startYear: 2000, endYear: 2000})
+    .map(function(p, i) { return cfg.period.type === 'days' ? String(i) : p.label.slice(5); });
+}
+
+// Fully masked climatology image for a periodKey without reference composites
+function emptyNormal(bands) {
+  var names = [];
+  ['_mean', '_stdDev', '_p10', '_p50', '_p90'].forEach(function(suffix) {
+    bands.forEach(function(band) { names.push(band + suffix); });
+  });
+  return ee.Image.constant(names.map(function() { return 0; })).rename(names)
+    .updateMask(0).toFloat();
+}
+
+// One image per periodKey with mean, stdDev and p10/p50/p90 of the reference composites
+function baselineClimatology(cfg) {
+  var bands = baselineBands(cfg);
+
+  // Same settings as the run, over the reference years
+  var refCfg = {};
+  for (var key in cfg) refCfg[key] = cfg[key];
+  refCfg.startYear = cfg.baseline.startYear;
+  refCfg.endYear = cfg.baseline.endYear;
+
+  var reference = withPeriodKey(monthlyIndicesRange(refCfg), cfg)
+    .filter(ee.Filter.neq('noData', 1))
+    .select(bands);
+
+  var reducer = ee.Reducer.mean()
+    .combine(ee.Reducer.stdDev(), '', true)
+    .combine(ee.Reducer.percentile([10, 50, 90]), '', true);
+
+  return ee.ImageCollection.fromImages(periodKeys(cfg).map(function(periodKey) {
+    var group = reference.filter(ee.Filter.eq('periodKey', periodKey));
+    // reduce() of an empty group has no bands; keep the key with a masked image instead
+    var normal = ee.Image(ee.Algorithms.If(group.size().gt(0), group.reduce(reducer),
+                                           emptyNormal(bands)));
+    return normal
+      .set('periodKey', periodKey)
+      .set('years', group.size())
+      .set('baseline', refCfg.startYear + '–' + refCfg.endYear);
+  }));
+}
+
+// Anomaly, z-score and percent-of-normal bands for every composite of the run
+function computeAnomalies(ic, climatology, cfg) {
+  var bands = baselineBands(cfg);
+  // Outer join: composites without a climatology are kept, with masked anomaly bands
+  var joined = ee.Join.saveFirst({matchKey: 'normal', outer: true}).apply({
+    primary: withPeriodKey(ic, cfg),
+    secondary: climatology,
+    condition: ee.Filter.equals({leftField: 'periodKey', rightField: 'periodKey'})
+  });
+
+  return ee.ImageCollection(joined.map(function(img) {
+    img = ee.Image(img);
+    var normal = ee.Image(ee.Algorithms.If(img.get('normal'), img.get('normal'),
+                                           emptyNormal(bands)));
+    var value = img.select(bands);
+    var mean = normal.select(bands.map(function(b) { return b + '_mean'; }));
+    var std = normal.select(bands.map(function(b) { return b + '_stdDev'; }));
+    var anomaly = value.subtract(mean);
+
+    return value
+      .addBands(normal)
+      .addBands(anomaly.rename(bands.map(function(b) { return b + '_anomaly'; })))
+      .addBands(anomaly.divide(std).rename(bands.map(function(b) { return b + '_zscore'; })))
+      .addBands(value.divide(mean).multiply(100)
+                     .rename(bands.map(function(b) { return b + '_pctNormal'; })))
+      .toFloat()
+      .copyProperties(img, img.propertyNames().remove('normal'))
+      .set('baseline', cfg.baseline.startYear + '–' + cfg.baseline.endYear);
+  })).sort('system:time_start');
+}
+
+// Target values against the normal (mean and p10–p90 envelope) for one band
+function createBaselineChart(anomalies, band) {
+  var chart = ui.Chart.image.series({
+    imageCollection: anomalies.select([band, band + '_mean', band + '_p10', band + '_p90']),
+    region: config.aoi,
+    reducer: ee.Reducer.mean(),
+    scale: config.scale,
+    xProperty: 'system:time_start'
+  }).setOptions({
+    title: band + ' ' + config.startYear + '–' + config.endYear + ' vs ' +
+           config.baseline.startYear + '–' + config.baseline.endYear + ' normal',
+    interpolateNulls: true,
+    vAxis: {title: band},
+    hAxis: {
+      title: 'Date',
+      format: periodAxisFormat(config),
+      slantedText: true,
+      slantedTextAngle: 90
+    },
+    // Series are ordered by band name: <band>, _mean, _p10, _p90
+    series: {
+      0: {color: INDEX_REGISTRY[band] ? INDEX_REGISTRY[band].color : '#000000',
+          lineWidth: 3, pointSize: 5},
+      1: {color: '#7f7f7f', lineWidth: 2, pointSize: 0},
+      2: {color: '#bdbdbd', lineWidth: 1, lineDashStyle: [4, 4], pointSize: 0},
+      3: {color: '#bdbdbd', lineWidth: 1, lineDashStyle: [4, 4], pointSize: 0}
+    }
+  });
+  show('Charts', chart);
+}
+
+// AOI-mean z-score per composite as columns
+function createZScoreChart(anomalies, band) {
+  var chart = ui.Chart.image.series({
+    imageCollection: anomalies.select(band + '_zscore'),
+    region: config.aoi,
+    reducer: ee.Reducer.mean(),
+    scale: config.scale,
+    xProperty: 'system:time_start'
+  }).setChartType('ColumnChart')
+    .setOptions({
+      title: band + ' z-score (' + config.baseline.startYear + '–' + config.baseline.endYear +
+             ' baseline)',
+      vAxis: {title: 'Standard deviations from normal'},
+      hAxis: {
+        title: 'Date',
+        format: periodAxisFormat(config),
+        slantedText: true,
+        slantedTextAngle: 90
+      },
+      legend: {position: 'none'},
+      colors: ['#8c510a']
+    });
+  show('Charts', chart);
+}
+
+// Table of AOI-mean anomalies with a one-line summary per composite
+function anomalySummary(anomalies, band, cfg) {
+  var baseline = cfg.baseline.startYear + '–' + cfg.baseline.endYear;
+  var suffixes = ['', '_mean', '_anomaly', '_zscore', '_pctNormal'];
+  return anomalies.filter(ee.Filter.neq('noData', 1)).map(function(img) {
+    var stats = img.select(suffixes.map(function(s) { return band + s; })).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: cfg.aoi.geometry(),
+      scale: cfg.scale,
+      maxPixels: 1e13
+    });
+    var z = ee.Number(stats.get(band + '_zscore'));
+    // Fully masked periods have no z-score
+    var summary = ee.Algorithms.If(ee.Algorithms.IsEqual(stats.get(band + '_zscore'), null),
+      ee.String(band + ' in ').cat(img.get('periodLabel'))
+        .cat(' has no valid pixels to compare with its ' + baseline + ' normal'),
+      ee.String(band + ' in ').cat(img.get('periodLabel')).cat(' was ')
+        .cat(z.abs().format('%.1f')).cat('σ ')
+        .cat(ee.Algorithms.If(z.lt(0), 'below', 'above'))
+        .cat(' its ' + baseline + ' normal'));
+    return ee.Feature(null, stats)
+      .set('periodLabel', img.get('periodLabel'))
+      .set('system:time_start', img.get('system:time_start'))
+      .set('summary', summary);
+  });
+}
 
-//Karura - Forest area
-var aoi = Karura_outline;
+//=====================================================================================================
+//                          PIXEL-WISE TREND ANALYSIS (optional)
+//*****************************************************************************************************
+// Sen's slope and Mann–Kendall test per pixel for one index (config.trend.index) over all
+// composites of the run, meant for multi-year runs.
+//   slope     Sen's slope (index units per year)
+//   tau       Kendall's tau = S / (n(n-1)/2)
+//   pValue    two-sided p-value of the Mann–Kendall Z (normal approximation, no tie correction)
+//   trend     -1 significant browning, 0 no significant trend, 1 significant greening (p < alpha)
+// With deseasonalize: true the mean of each period of the year over the run (see periodKey in
+// BASELINE CLIMATOLOGY) is subtracted first, so the seasonal cycle does not hide the trend.
 
-//Naivasha - Agricultural area - Irrigate
-// var aoi = Morendat;
+// Throw a descriptive error for an invalid config.trend
+function validateTrend(cfg) {
+  var trend = cfg.trend;
+  if (!trend || cfg.indices.indexOf(trend.index) === -1) {
+    throw new Error('config.trend.index must be one of config.indices (' +
+                    cfg.indices.join(', ') + ').');
+  }
+  if (typeof trend.alpha !== 'number' || trend.alpha <= 0 || trend.alpha >= 1) {
+    throw new Error('config.trend.alpha must be between 0 and 1, got ' + trend.alpha + '.');
+  }
+  if (trend.deseasonalize && cfg.period.type === 'custom') {
+    throw new Error('config.trend.deseasonalize needs a repeating period type, not custom ranges.');
+  }
+}
 
-// Center the map view over the AOI with zoom level 10
-Map.centerObject(aoi, 10);
+// Index values (band 'value') and time in years (band 't') of the valid composites
+function trendSeries(ic, cfg) {
+  var band = cfg.trend.index;
+  var valid = withPeriodKey(ic.filter(ee.Filter.neq('noData', 1)), cfg).select(band);
+
+  if (cfg.trend.deseasonalize) {
+    // Subtract the run's mean for the same period of the year
+    var keyMeans = ee.Join.saveAll({matchesKey: 'samePeriod'}).apply({
+      primary: valid,
+      secondary: valid,
+      condition: ee.Filter.equals({leftField: 'periodKey', rightField: 'periodKey'})
+    });
+    valid = ee.ImageCollection(keyMeans.map(function(img) {
+      img = ee.Image(img);
+      var mean = ee.ImageCollection.fromImages(img.get('samePeriod')).mean();
+      return img.subtract(mean).copyProperties(img, ['system:time_start']);
+    }));
+  }
+
+  return valid.map(function(img) {
+    var years = ee.Number(img.get('system:time_start')).divide(365.25 * 86400000);
+    return ee.Image.constant(years).rename('t').toFloat()
+      .addBands(img.rename('value').toFloat())
+      .updateMask(img.mask())
+      .copyProperties(img, ['system:time_start']);
+  });
+}
+
+// slope, tau, pValue and trend bands for config.trend.index
+function computeTrend(ic, cfg) {
+  var series = trendSeries(ic, cfg);
+  var values = series.select('value');
+
+  var slope = series.select(['t', 'value']).reduce(ee.Reducer.sensSlope()).select('slope');
+
+  // Mann–Kendall S: sum of sign(x_j - x_i) over all pairs i < j
+  var later = ee.Join.saveAll({matchesKey: 'later'}).apply({
+    primary: values,
+    secondary: values,
+    condition: ee.Filter.lessThan({leftField: 'system:time_start', rightField: 'system:time_start'})
+  });
+  var signs = ee.ImageCollection(later.map(function(img) {
+    img = ee.Image(img);
+    return ee.ImageCollection.fromImages(img.get('later')).map(function(next) {
+      return ee.Image(next).subtract(img).signum().unmask(0).int();
+    });
+  }).flatten());
+  var s = signs.reduce(ee.Reducer.sum(), 2).rename('S').toFloat();
+
+  // Variance of S without tie correction, n = valid composites per pixel
+  var n = values.count().toFloat();
+  var variance = n.multiply(n.subtract(1)).multiply(n.multiply(2).add(5)).divide(18);
+  var z = s.subtract(s.signum()).divide(variance.sqrt());
+  var pValue = z.abs().divide(Math.SQRT2).erfc();
+  var tau = s.divide(n.multiply(n.subtract(1)).divide(2));
+
+  var significant = pValue.lt(cfg.trend.alpha);
+  var trend = significant.multiply(slope.signum()).int8();
+
+  return slope.rename('slope')
+    .addBands(tau.rename('tau'))
+    .addBands(pValue.rename('pValue'))
+    .addBands(trend.rename('trend'))
+    .clip(cfg.aoi)
+    .set('index', cfg.trend.index)
+    .set('deseasonalized', cfg.trend.deseasonalize ? 1 : 0)
+    .set('alpha', cfg.trend.alpha);
+}
+
+// Share (%) of the AOI's valid area with significant greening and browning
+function trendAreaShare(trend, cfg) {
+  var classes = trend.select('trend');
+  var area = ee.Image.pixelArea().updateMask(classes.mask());
+  var sums = area.rename('total')
+    .addBands(area.updateMask(classes.eq(1)).rename('greening'))
+    .addBands(area.updateMask(classes.eq(-1)).rename('browning'))
+    .reduceRegion({
+      reducer: ee.Reducer.sum(),
+      geometry: cfg.aoi.geometry(),
+      scale: cfg.scale,
+      maxPixels: 1e13
+    });
+  var total = ee.Number(sums.get('total'));
+  return ee.Dictionary({
+    greeningPercent: ee.Number(sums.get('greening')).divide(total).multiply(100),
+    browningPercent: ee.Number(sums.get('browning')).divide(total).multiply(100),
+    noTrendPercent: total.subtract(sums.get('greening')).subtract(sums.get('browning'))
+                         .divide(total).multiply(100),
+    validAreaHa: total.divide(10000)
+  });
+}
 
 //=====================================================================================================
-//                          CLOUD MASKING FUNCTION
+//                          CHANGE DETECTION BETWEEN TWO PERIODS (optional)
 //*****************************************************************************************************
+// Before/after comparison (config.change), e.g. pre- and post-encroachment in Karura. Both windows
+// are composited with the run's sensors, masking and compositing method, then
+//   d<INDEX> = after - before       for every index in config.indices (dNDVI, dEVI, dSAVI, ...)
+//   changeClass                     d<classifyIndex> classified with config.change.classes: each
+//                                   class holds values up to its 'max' (the last class has no max),
+//                                   class values are 1..n in list order
+// Per-class areas are reported in hectares; exportGeoTiff exports the map through exportImage
+// (same destination, CRS and scale as the composites).
 
-// Function to safely add cloud probability band
-function addCloudProbability(img) {
-  var cloudProb = ee.ImageCollection("COPERNICUS/S2_CLOUD_PROBABILITY")
-    .filterBounds(img.geometry())
-    .filterDate(img.date(), img.date().advance(1, 'day'))
-    .first();
+// Throw a descriptive error for an invalid config.change
+function validateChange(cfg) {
+  var change = cfg.change;
+  if (!change || !change.before || !change.after) {
+    throw new Error('config.change needs before and after {start, end} windows.');
+  }
+  validatePeriod({type: 'custom', ranges: [change.before, change.after]});
+  if (new Date(change.before.end) > new Date(change.after.start)) {
+    throw new Error('config.change.before must end on or before the start of config.change.after.');
+  }
+  if (cfg.indices.indexOf(change.classifyIndex) === -1) {
+    throw new Error('config.change.classifyIndex must be one of config.indices (' +
+                    cfg.indices.join(', ') + ').');
+  }
+  if (!Array.isArray(change.classes) || change.classes.length < 2) {
+    throw new Error('config.change.classes must list at least two classes.');
+  }
+  change.classes.slice(0, -1).forEach(function(cls, i) {
+    if (typeof cls.max !== 'number' || (i > 0 && cls.max <= change.classes[i - 1].max)) {
+      throw new Error('Change class "' + cls.name + '" needs a numeric max above the previous ' +
+                      'class (only the last class has no max).');
+    }
+  });
+}
+
+// Change map: d<INDEX> bands and changeClass for the before/after windows
+function changeDetection(before, after, cfg) {
+  // Same settings as the run, with the two windows as custom periods
+  var changeCfg = {};
+  for (var key in cfg) changeCfg[key] = cfg[key];
+  changeCfg.period = {type: 'custom', ranges: [
+    {start: before.start, end: before.end, label: before.label || 'before'},
+    {start: after.start, end: after.end, label: after.label || 'after'}
+  ]};
+
+  // Pick each window's composite by period, not by position (cached composites are merged in)
+  var composites = monthlyIndicesRange(changeCfg);
+  var windows = buildPeriods(changeCfg).map(function(p) {
+    return ee.Image(composites.filter(ee.Filter.eq('cachePeriod', p.start + '_' + p.end)).first())
+      .select(cfg.indices);
+  });
+  var beforeImg = windows[0];
+  var afterImg = windows[1];
+  var diff = afterImg.subtract(beforeImg)
+    .rename(cfg.indices.map(function(name) { return 'd' + name; }));
+
+  // Class value = 1 + number of class breaks the difference is above
+  var d = diff.select('d' + cfg.change.classifyIndex);
+  var changeClass = ee.Image(1);
+  cfg.change.classes.slice(0, -1).forEach(function(cls) {
+    changeClass = changeClass.add(d.gt(cls.max));
+  });
+
+  return diff.toFloat()
+    .addBands(changeClass.updateMask(d.mask()).rename('changeClass').toFloat())
+    .clip(cfg.aoi)
+    .set('before', before.start + '_' + before.end)
+    .set('after', after.start + '_' + after.end)
+    .set('classifyIndex', cfg.change.classifyIndex);
+}
 
-  // If cloudProb is missing, add a constant 0 band (no clouds)
-  cloudProb = ee.Algorithms.If(
-    cloudProb,
-    ee.Image(cloudProb).select('probability'),
-    ee.Image(0).rename('probability').clip(img.geometry())
-  );
+// Area (ha) of each change class within the AOI
+function changeAreaStats(change, cfg) {
+  var names = cfg.change.classes.map(function(cls) { return cls.name; });
+  var groups = ee.Image.pixelArea().divide(10000)
+    .addBands(change.select('changeClass'))
+    .reduceRegion({
+      reducer: ee.Reducer.sum().group({groupField: 1, groupName: 'changeClass'}),
+      geometry: cfg.aoi.geometry(),
+      scale: cfg.scale,
+      maxPixels: 1e13
+    }).get('groups');
 
-  return img.addBands(ee.Image(cloudProb));
+  return ee.FeatureCollection(ee.List(groups).map(function(group) {
+    group = ee.Dictionary(group);
+    var cls = ee.Number(group.get('changeClass')).int();
+    return ee.Feature(null, {
+      changeClass: cls,
+      name: ee.List(names).get(cls.subtract(1)),
+      areaHa: group.get('sum')
+    });
+  }));
 }
 
-// Function to mask both clouds and shadows
-function maskS2clouds(img) {
-  var cloudProb = img.select('probability');
-  var scl = img.select('SCL'); // Scene Classification Layer
-  
-  // Cloud mask (>40% probability)
-  // Mask out clouds with >40% probability (tweak threshold if needed)
-  var cloudMask = cloudProb.lt(40);
-  
-  // SCL-based masks
-  var shadowMask = scl.neq(3);        // Cloud shadows
-  var cirrusMask = scl.neq(10);       // Cirrus clouds
-  var cloudMask2 = scl.neq(9);        // Dense clouds
- 
-  // Combined mask
-  var mask = cloudMask
-    .and(shadowMask)
-    .and(cirrusMask)
-    .and(cloudMask2);
-              
-  // Total pixels: count on a reliable band (e.g. B4)
-  var totalPixels = img.select('B4').reduceRegion({
-    reducer: ee.Reducer.count(),
-    geometry: aoi.geometry(),
-    scale: 10,
-    maxPixels: 1e13
+// Classified change map visualization from config.change.classes
+function changeClassVis(cfg) {
+  return {
+    min: 1,
+    max: cfg.change.classes.length,
+    palette: cfg.change.classes.map(function(cls) { return cls.color; })
+  };
+}
+
+//=====================================================================================================
+//                          MULTI-AOI PER-FEATURE STATISTICS (optional)
+//*****************************************************************************************************
+// Statistics of every composite for many polygons at once (forest blocks, farm fields), without
+// re-running the script per site. config.batch.features is a FeatureCollection inside config.aoi
+// (null = the features of config.aoi itself); each feature is named by config.batch.idProperty.
+// Output is one long-format table, one row per feature x period x band:
+//   featureId, band, date, periodLabel, system:time_start,
+//   mean, median, stdDev, p10, p90, validFraction (unmasked share of the feature's pixels)
+// plus one chart per band comparing the feature means.
+
+// Throw a descriptive error for an invalid config.batch
+function validateBatch(cfg) {
+  var batch = cfg.batch;
+  if (!batch || typeof batch.idProperty !== 'string' || batch.idProperty === '') {
+    throw new Error('config.batch.idProperty must name the feature ID property, e.g. ' +
+                    '\'system:index\'.');
+  }
+  var available = compositeBandNames(cfg.indices);
+  (batch.bands || []).forEach(function(band) {
+    if (available.indexOf(band) === -1) {
+      throw new Error('Batch band "' + band + '" is not one of ' + available.join(', ') + '.');
+    }
   });
-  
-  // Clean pixels: count only where mask == 1
-  var cleanPixels = img.select('B4').updateMask(mask).reduceRegion({
-    reducer: ee.Reducer.count(),
-    geometry: aoi.geometry(),
-    scale: 10,
-    maxPixels: 1e13
+}
+
+// Bands summarised per feature (null = every selected index)
+function batchBands(cfg) {
+  return cfg.batch.bands || cfg.indices;
+}
+
+// Long-format table of per-feature statistics for every valid composite
+function featureStatsTable(ic, cfg) {
+  var bands = batchBands(cfg);
+  var idProperty = cfg.batch.idProperty;
+  var reducer = ee.Reducer.mean()
+    .combine(ee.Reducer.median(), '', true)
+    .combine(ee.Reducer.stdDev(), '', true)
+    .combine(ee.Reducer.percentile([10, 90]), '', true)
+    .combine(ee.Reducer.count(), '', true);
+
+  // Pixels per feature at the run's scale, the denominator of validFraction
+  var features = ee.Image.constant(1).reduceRegions({
+    collection: ee.FeatureCollection(cfg.batch.features || cfg.aoi),
+    reducer: ee.Reducer.count().setOutputs(['pixelCount']),
+    scale: cfg.scale
   });
 
-  // Get the actual count values (assuming 'probability' band for counting)
-  var totalCount = ee.Number(totalPixels.get('B4')).max(1); //Avoid division by zero
-  var cleanCount = ee.Number(cleanPixels.get('B4'));
-  
-  // Calculate contamination percentage
-  var contamination = totalCount.subtract(cleanCount)
-                                .divide(totalCount)
-                                .multiply(100)
-                                .max(0)  // Ensure non-negative
-                                .min(100); // Cap at 100%
+  var rows = ic.filter(ee.Filter.neq('noData', 1)).map(function(img) {
+    var time = img.get('system:time_start');
+    var perBand = bands.map(function(band) {
+      return img.select(band).reduceRegions({
+        collection: features,
+        reducer: reducer,
+        scale: cfg.scale
+      }).map(function(f) {
+        var validFraction = ee.Number(f.get('count'))
+          .divide(ee.Number(f.get('pixelCount')).max(1));
+        return ee.Feature(null, {
+          featureId: f.get(idProperty),
+          band: band,
+          date: ee.Date(time).format('YYYY-MM-dd'),
+          periodLabel: img.get('periodLabel'),
+          'system:time_start': time,
+          mean: f.get('mean'),
+          median: f.get('median'),
+          stdDev: f.get('stdDev'),
+          p10: f.get('p10'),
+          p90: f.get('p90'),
+          validFraction: validFraction
+        });
+      });
+    });
+    return ee.FeatureCollection(perBand).flatten();
+  });
 
-  return img.updateMask(mask) // Apply mask
-              .divide(10000) // Scale reflectance to 0–1
-              .select("B.*") // Keep only spectral bands
-              .copyProperties(img, ["system:time_start"]) // Retain timestamp
-              .set('contamination', contamination);   // store % contaminated
+  return ee.FeatureCollection(rows).flatten();
+}
+
+// Mean of one band per feature over time (one line per feature)
+function createFeatureChart(table, band) {
+  var chart = ui.Chart.feature.groups({
+    features: table.filter(ee.Filter.eq('band', band)).sort('system:time_start'),
+    xProperty: 'system:time_start',
+    yProperty: 'mean',
+    seriesProperty: 'featureId'
+  }).setOptions({
+    title: band + ' ' + periodName(config) + ' Mean per Feature',
+    lineWidth: 2,
+    pointSize: 4,
+    interpolateNulls: true,
+    vAxis: {title: band + ' (mean)'},
+    hAxis: {
+      title: 'Date',
+      format: periodAxisFormat(config),
+      slantedText: true,
+      slantedTextAngle: 90
+    }
+  });
+  show('Charts', chart);
 }
 
 //=====================================================================================================
-//                          MULTI-YEAR MONTHLY INDEX FUNCTION (Safe Normalization)
+//                          LAND-COVER STRATIFICATION (optional)
 //*****************************************************************************************************
-function monthlyIndicesRange(startYear, endYear, aoi) {
-  var years = ee.List.sequence(startYear, endYear);
-
-  var allImages = years.map(function(year) {
-    year = ee.Number(year);
-
-    var s2 = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED")
-      .filterBounds(aoi)
-      .filterDate(ee.Date.fromYMD(year, 1, 1), ee.Date.fromYMD(year, 12, 31))
-      .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 20))
-      .map(addCloudProbability)  // join cloud prob
-      .map(maskS2clouds);        // apply probability-based mask
-            
-    var monthly = ee.List.sequence(1, 12).map(function(month) {
-      var start = ee.Date.fromYMD(year, month, 1);
-      var end   = start.advance(1, 'month');
-      var collection = s2.filterDate(start, end);
-      var count      = collection.size();
-      var contaminationMean = ee.Algorithms.If(
-        collection.size().gt(0),
-        collection.aggregate_mean('contamination'),
-        0
-      );
-      var composite  = collection.median().clip(aoi).toFloat();
-          
-      return ee.Algorithms.If(
-        count.gt(0),
-        (function() {
-          // --- Raw indices ---
-          var ndvi = composite.normalizedDifference(['B8','B4']).rename('NDVI').toFloat();
-          var evi = composite.expression(
-            '2.5 * ((NIR - RED) / (NIR + 6*RED - 7.5*BLUE + 1))',
-            {NIR: composite.select('B8'), RED: composite.select('B4'), BLUE: composite.select('B2')}
-          ).rename('EVI').toFloat(); 
-          var savi = composite.expression(
-            '(1.5 * (NIR - RED)) / (NIR + RED + 0.5)',
-            {NIR: composite.select('B8'), RED: composite.select('B4')}
-          ).rename('SAVI').toFloat();
-
-          var stacked = ndvi.addBands([evi, savi]);
-
-          // --- Normalization ---
-          //[A good rule of thumb is to set min and max to values 
-          //that represent the 2nd and 98th percentile of the data 
-          //within your area of interest.
-          //Source: https://developers.google.com/earth-engine/guides/ic_visualization]
-          
-          function normalize(img, bandName) {
-            // Compute percentiles, but guard against missing results by using default values.
-            var stats = ee.Dictionary(img.reduceRegion({
-              reducer: ee.Reducer.percentile([2, 98]),
-              geometry: aoi,
-              scale: 10,
-              maxPixels: 1e13
-            }));
-
-            /*
-            // Get p2 and p98 safely (use default values if null)
-            var min = ee.Number(stats.get(bandName + '_p2', 0));
-            var max = ee.Number(stats.get(bandName + '_p98', 1));
-            */
-            var rawMin = stats.get(bandName + '_p2');
-            var rawMax = stats.get(bandName + '_p98');
-            
-            var min = ee.Number(ee.Algorithms.If(rawMin, rawMin, 0));
-            var max = ee.Number(ee.Algorithms.If(rawMax, rawMax, 1));
-            
-            // Ensure non-zero denominator
-            var denom = max.subtract(min).max(0.000001);
-
-            // Operate on the image band (ensure image typed properly)
-            var bandImg = ee.Image(img.select([bandName]).toFloat());
-
-            return bandImg.subtract(min).divide(denom)
-                      .clamp(0, 1) // Ensure values stay 0-1
-                      .rename(bandName + '_Normalized')
-                      .toFloat();
-          }
-
-          var ndviN = normalize(ndvi, 'NDVI');
-          var eviN  = normalize(evi, 'EVI');
-          var saviN = normalize(savi, 'SAVI');
-          var rgbBands = composite.select(['B4','B3','B2']);
-          var NIR = composite.select(['B8']);
-          
-          return stacked.addBands([ndviN, eviN, saviN, rgbBands, NIR]) //B8(NIR), added to study saturation
-            .set('year', year)
-            .set('month', month)
-            .set('count', count)
-            .set('contamination', contaminationMean)   // 👈 add this
-            .set('noData', 0)
-            .set('system:time_start', ee.Date.fromYMD(year, month, 1).millis());
-        })(), //end true branch
-
-        // --- No-data branch: return constant 0 bands to keep schema consistent ---
-        ee.Image.constant([0,0,0,0,0,0,0,0,0,0])
-          .rename(['NDVI','EVI','SAVI',
-                   'NDVI_Normalized','EVI_Normalized','SAVI_Normalized',
-                   'B4','B3','B2','B8' ])
-          .updateMask(ee.Image(0))   // mask out everything
-          .toFloat() // Ensure Float type to enable date ranges before 2021 to work
-          .set('year', year)
-          .set('month', month)
-          .set('count', 0)
-          .set('contamination', 0)   // 👈 add this
-          .set('noData', 1)
-          .set('system:time_start', ee.Date.fromYMD(year, month, 1).millis())
-      ); //end If
-    }); //end monthly map
-
-    return ee.ImageCollection.fromImages(monthly);
-  }); // end years.map
-
-  return ee.ImageCollection(allImages.iterate(function(ic, prev) {
-    return ee.ImageCollection(prev).merge(ic);
-  }, ee.ImageCollection([])));
-} // end monthly indices range
+// Forest gaps, tracks and water skew the AOI mean. config.landCover intersects the AOI with a
+// classified image:
+//   source: 'worldcover'     ESA WorldCover 10 m v200 (2021)
+//   source: 'dynamicWorld'   Dynamic World V1, most frequent label over the run's dates
+//   source: 'custom'         any classified ee.Image in landCover.image (band landCover.band,
+//                            class names in landCover.classNames, e.g. {1: 'Forest', 2: 'Gap'})
+// outputs.landCoverCharts plots one series per class for every index. landCover.restrictTo
+// (list of class values) masks everything else out of the time series charts, histograms and
+// the percentile stats block; exports and GIFs keep the full AOI.
+
+// Throw a descriptive error for an invalid config.landCover
+function validateLandCover(cfg) {
+  var lc = cfg.landCover;
+  var sources = ['none', 'worldcover', 'dynamicWorld', 'custom'];
+  if (!lc || sources.indexOf(lc.source) === -1) {
+    throw new Error('config.landCover.source must be one of ' + sources.join(', ') + '.');
+  }
+  if (lc.source === 'custom' && !lc.image) {
+    throw new Error('config.landCover.image is required for source \'custom\'.');
+  }
+  if (lc.restrictTo) {
+    if (lc.source === 'none') {
+      throw new Error('config.landCover.restrictTo needs a land-cover source.');
+    }
+    var classes = landCoverClasses(cfg);
+    lc.restrictTo.forEach(function(value) {
+      if (lc.source !== 'custom' && !classes[value]) {
+        throw new Error('Land-cover class ' + value + ' is not a ' + lc.source + ' class (' +
+                        Object.keys(classes).join(', ') + ').');
+      }
+    });
+  }
+}
+
+// Class value -> name for the configured source (also used by validateLandCover, which runs
+// before this section is loaded, so the tables live inside the function)
+function landCoverClasses(cfg) {
+  if (cfg.landCover.source === 'worldcover') {
+    return {
+      10: 'Tree cover', 20: 'Shrubland', 30: 'Grassland', 40: 'Cropland', 50: 'Built-up',
+      60: 'Bare / sparse vegetation', 70: 'Snow and ice', 80: 'Permanent water bodies',
+      90: 'Herbaceous wetland', 95: 'Mangroves', 100: 'Moss and lichen'
+    };
+  }
+  if (cfg.landCover.source === 'dynamicWorld') {
+    return {
+      0: 'Water', 1: 'Trees', 2: 'Grass', 3: 'Flooded vegetation', 4: 'Crops',
+      5: 'Shrub and scrub', 6: 'Built', 7: 'Bare', 8: 'Snow and ice'
+    };
+  }
+  return cfg.landCover.classNames || {};
+}
+
+// Single-band 'landCover' class image over the AOI
+function landCoverImage(cfg) {
+  var lc = cfg.landCover;
+  var image;
+  if (lc.source === 'worldcover') {
+    image = ee.ImageCollection('ESA/WorldCover/v200').first().select('Map');
+  } else if (lc.source === 'dynamicWorld') {
+    var periods = buildPeriods(cfg);
+    image = ee.ImageCollection('GOOGLE/DYNAMICWORLD/V1')
+      .filterBounds(cfg.aoi)
+      .filterDate(periods[0].start, periods[periods.length - 1].end)
+      .select('label')
+      .mode();
+  } else {
+    image = ee.Image(lc.image).select(lc.band || 0);
+  }
+  return image.rename('landCover').int().clip(cfg.aoi);
+}
+
+// Mask every composite to the land-cover classes in config.landCover.restrictTo
+function restrictToClasses(ic, cfg) {
+  var values = cfg.landCover.restrictTo;
+  var keep = landCoverImage(cfg).remap(values, values.map(function() { return 1; }), 0);
+  return ic.map(function(img) {
+    return img.updateMask(keep);
+  });
+}
+
+// AOI mean of one band per land-cover class and period (className, mean, system:time_start)
+function classTimeSeries(ic, band, cfg) {
+  var classes = ee.Dictionary(landCoverClasses(cfg));
+  var landCover = landCoverImage(cfg);
+  var rows = ic.filter(ee.Filter.neq('noData', 1)).map(function(img) {
+    var groups = img.select(band).addBands(landCover).reduceRegion({
+      reducer: ee.Reducer.mean().group({groupField: 1, groupName: 'landCover'}),
+      geometry: cfg.aoi,
+      scale: cfg.scale,
+      maxPixels: 1e13
+    }).get('groups');
+    return ee.FeatureCollection(ee.List(groups).map(function(group) {
+      group = ee.Dictionary(group);
+      var value = ee.Number(group.get('landCover')).int().format();
+      return ee.Feature(null, {
+        landCover: group.get('landCover'),
+        className: classes.get(value, value),
+        band: band,
+        mean: group.get('mean'),
+        'system:time_start': img.get('system:time_start')
+      });
+    }));
+  });
+  return ee.FeatureCollection(rows).flatten();
+}
+
+// One series per land-cover class for a band
+function createClassChart(ic, band) {
+  var rows = classTimeSeries(ic, band, config);
+  if (config.landCover.restrictTo) {
+    rows = rows.filter(ee.Filter.inList('landCover', config.landCover.restrictTo));
+  }
+  var chart = ui.Chart.feature.groups({
+    features: rows.sort('system:time_start'),
+    xProperty: 'system:time_start',
+    yProperty: 'mean',
+    seriesProperty: 'className'
+  }).setOptions({
+    title: band + ' ' + periodName(config) + ' Time Series by Land Cover',
+    lineWidth: 2,
+    pointSize: 4,
+    interpolateNulls: true,
+    vAxis: {title: band},
+    hAxis: {
+      title: 'Date',
+      format: periodAxisFormat(config),
+      slantedText: true,
+      slantedTextAngle: 90
+    }
+  });
+  show('Charts', chart);
+}
 
 //=====================================================================================================
-//                          EXPORT MONTHLY RAW IMAGES TO DRIVE (NDVI/EVI/SAVI + RGB)
+//                          EXPORT PERIOD RAW IMAGES (NDVI/EVI/SAVI + RGB)
 //*****************************************************************************************************
+// config.rasterExport controls every raster export (composites and the change map):
+//   destination   'drive' (folder = exportFolder), 'gcs' (bucket, exportFolder as path prefix)
+//                 or 'asset' (assetFolder, e.g. 'projects/my-project/assets/karura')
+//   bands         band subset (null = all bands)
+//   crs, scale    output CRS (null = Earth Engine default) and pixel size (null = config.scale)
+//   cloudOptimized  write Cloud-Optimised GeoTIFFs (Drive / Cloud Storage)
+//   layout        'perPeriod' one file per composite, or 'timeStack' one multi-band image with
+//                 bands '<band>_<YYYY>_<MM>' (month periods) or '<band>_<periodLabel>'
+//   nameTemplate  file name with {label} {year} {month} {method} {sensor} {filled} placeholders;
+//                 for a time stack {label} is 'stack_<startYear>_<endYear>'
+
+// Throw a descriptive error for an invalid config.rasterExport
+function validateRasterExport(cfg) {
+  var exp = cfg.rasterExport;
+  var destinations = ['drive', 'gcs', 'asset'];
+  if (!exp || destinations.indexOf(exp.destination) === -1) {
+    throw new Error('config.rasterExport.destination must be one of ' +
+                    destinations.join(', ') + '.');
+  }
+  if (exp.destination === 'gcs' && !exp.bucket) {
+    throw new Error('config.rasterExport.bucket is required for Cloud Storage exports.');
+  }
+  if (exp.destination === 'asset' && !exp.assetFolder) {
+    throw new Error('config.rasterExport.assetFolder is required for asset exports.');
+  }
+  if (['perPeriod', 'timeStack'].indexOf(exp.layout) === -1) {
+    throw new Error('config.rasterExport.layout must be \'perPeriod\' or \'timeStack\'.');
+  }
+  if (exp.scale !== null && !(exp.scale > 0)) {
+    throw new Error('config.rasterExport.scale must be a positive number of metres or null.');
+  }
+  if (typeof exp.nameTemplate !== 'string' || exp.nameTemplate === '') {
+    throw new Error('config.rasterExport.nameTemplate must be a non-empty string.');
+  }
+}
+
+// Fill the {placeholders} of config.rasterExport.nameTemplate
+function exportName(values) {
+  return config.rasterExport.nameTemplate.replace(/\{(\w+)\}/g, function(match, key) {
+    return values[key] !== undefined ? values[key] : match;
+  });
+}
+
+// Export per-period composites, or one time stack (folder defaults to config.exportFolder)
+function exportComposites(ic, folderName) {
+  var bands = config.rasterExport.bands;
+  var valid = ic.filter(ee.Filter.neq('noData', 1));
+
+  if (config.rasterExport.layout === 'timeStack') {
+    exportImage(timeStack(bands ? valid.select(bands) : valid), exportName({
+      label: 'stack_' + config.startYear + '_' + config.endYear,
+      year: config.startYear,
+      month: '',
+      method: compositeMethodName(config.composite),
+      sensor: config.sensors.join('+'),
+      filled: ''
+    }), folderName);
+    show('Info', '✅ Exporting time stack', config.startYear + '–' + config.endYear);
+    return;
+  }
 
-// Function to export monthly NDVI/EVI/SAVI images
-function exportToDrive(ic, folderName) {
   ic.evaluate(function(images) {
     images.features.forEach(function(f) {
-      var year = f.properties.year;
-      var month = f.properties.month;
+      var label = f.properties.periodLabel;
       var noData = f.properties.noData;
       if (noData !== 1) {
-        var image = ee.Image(f.id);
-        Export.image.toDrive({
-          image: image,
-          description: 'Indices_RGB_' + year + '_' + month,
-          folder: folderName,
-          fileNamePrefix: 'Indices_RGB_' + year + '_' + month,
-          region: aoi,
-          scale: 10,
-          maxPixels: 1e13
+        // Computed images have no asset id: pick the composite by period on the server
+        var image = ee.Image(ic.filter(ee.Filter.eq('periodStart', f.properties.periodStart))
+                               .first());
+        // The composite method is part of the default name so files stay self-describing
+        // outside Earth Engine
+        var start = new Date(f.properties.periodStart);
+        var name = exportName({
+          label: label,
+          year: start.getUTCFullYear(),
+          month: ('0' + (start.getUTCMonth() + 1)).slice(-2),
+          method: f.properties.compositeMethod,
+          sensor: f.properties.sensor,
+          filled: f.properties.filled === 1 ? '_filled' : ''
         });
-        print('✅ Exporting NDVI for', year + '-' + month);
+        exportImage(bands ? image.select(bands) : image, name, folderName);
+        show('Info', '✅ Exporting NDVI for', label);
       } else {
-        print('⚠️ No data for ' + year + '-' + month + ', skipping export.');
+        show('Info', '⚠️ No data for ' + label + ', skipping export.');
       }
     });
   });
 }
 
+// Single multi-band image of all composites, bands '<band>_<YYYY>_<MM>' / '<band>_<periodLabel>'
+function timeStack(ic) {
+  var monthly = config.period.type === 'month';
+  return ee.Image(ic.iterate(function(img, stack) {
+    img = ee.Image(img);
+    var suffix = monthly ?
+      ee.Date(img.get('system:time_start')).format('YYYY_MM') :
+      ee.String(img.get('periodLabel')).replace('[^A-Za-z0-9_]', '_', 'g');
+    var names = img.bandNames().map(function(band) {
+      return ee.String(band).cat('_').cat(suffix);
+    });
+    return ee.Image(stack).addBands(img.toFloat().rename(names));
+  }, ee.Image().select([])));
+}
+
+// Export one image over config.aoi to the config.rasterExport destination
+function exportImage(image, name, folderName) {
+  var exp = config.rasterExport;
+  folderName = folderName || config.exportFolder;
+  // Task names only allow letters, digits, '-' and '_'
+  name = name.replace(/[^A-Za-z0-9_-]/g, '_');
+  var params = {
+    image: image,
+    description: name,
+    region: config.aoi,
+    scale: exp.scale || config.scale,
+    maxPixels: 1e13
+  };
+  if (exp.crs) params.crs = exp.crs;
+
+  if (exp.destination === 'asset') {
+    params.assetId = exp.assetFolder + '/' + name;
+    Export.image.toAsset(params);
+    return;
+  }
+  params.fileFormat = 'GeoTIFF';
+  params.formatOptions = {cloudOptimized: exp.cloudOptimized};
+  if (exp.destination === 'gcs') {
+    params.bucket = exp.bucket;
+    params.fileNamePrefix = folderName + '/' + name;
+    Export.image.toCloudStorage(params);
+  } else {
+    params.folder = folderName;
+    params.fileNamePrefix = name;
+    Export.image.toDrive(params);
+  }
+}
+
+//=====================================================================================================
+//                          EXPORT TIME-SERIES STATISTICS TABLE (optional)
+//*****************************************************************************************************
+// Tidy table for notebooks (outputs.exportTable, settings in config.tableExport): one row per
+// period and band, with the same columns in the same order in every export:
+//   periodLabel, periodStart, periodEnd (exclusive, 'YYYY-MM-dd'), band,
+//   mean, median, stdDev, min, max, p<N> for each of tableExport.percentiles,
+//   validPixels, count (images), contamination, cloudProbMissing, noData, filled,
+//   sensor, compositeMethod
+// No-data periods are kept with empty statistics. CSV rows have no geometry; GeoJSON and KML rows
+// carry the AOI centroid as point geometry.
+
+// Throw a descriptive error for an invalid config.tableExport
+function validateTableExport(cfg) {
+  var table = cfg.tableExport;
+  var formats = ['CSV', 'GeoJSON', 'KML'];
+  if (!table || formats.indexOf(table.format) === -1) {
+    throw new Error('config.tableExport.format must be one of ' + formats.join(', ') + '.');
+  }
+  (table.percentiles || []).forEach(function(p) {
+    if (typeof p !== 'number' || p % 1 !== 0 || p < 0 || p > 100) {
+      throw new Error('config.tableExport.percentiles must be whole numbers 0–100, got ' + p + '.');
+    }
+  });
+  var available = compositeBandNames(cfg.indices);
+  (table.bands || []).forEach(function(band) {
+    if (available.indexOf(band) === -1) {
+      throw new Error('Table export band "' + band + '" is not one of ' + available.join(', ') + '.');
+    }
+  });
+}
+
+// Column order of the statistics table
+function statsTableColumns(cfg) {
+  var percentiles = (cfg.tableExport.percentiles || []).map(function(p) { return 'p' + p; });
+  return ['periodLabel', 'periodStart', 'periodEnd', 'band',
+          'mean', 'median', 'stdDev', 'min', 'max']
+    .concat(percentiles)
+    .concat(['validPixels', 'count', 'contamination', 'cloudProbMissing', 'noData', 'filled',
+             'sensor', 'compositeMethod']);
+}
+
+// Per-period, per-band statistics over config.aoi
+function periodStatsTable(ic, cfg) {
+  var bands = cfg.tableExport.bands || cfg.indices;
+  var percentiles = cfg.tableExport.percentiles || [];
+  var withGeometry = cfg.tableExport.format !== 'CSV';
+  var centroid = cfg.aoi.geometry().centroid(cfg.scale);
+
+  var reducer = ee.Reducer.mean()
+    .combine(ee.Reducer.median(), '', true)
+    .combine(ee.Reducer.stdDev(), '', true)
+    .combine(ee.Reducer.minMax(), '', true)
+    .combine(ee.Reducer.count().setOutputs(['validPixels']), '', true);
+  if (percentiles.length) {
+    reducer = reducer.combine(ee.Reducer.percentile(percentiles), '', true);
+  }
+
+  var rows = ic.map(function(img) {
+    return ee.FeatureCollection(bands.map(function(band) {
+      var stats = img.select(band).reduceRegion({
+        reducer: reducer,
+        geometry: cfg.aoi,
+        scale: cfg.scale,
+        maxPixels: 1e13
+      });
+      // Multi-output reducers name the results '<band>_mean', ...; strip the band prefix
+      stats = stats.rename(stats.keys(), stats.keys().map(function(key) {
+        return ee.String(key).slice(band.length + 1);
+      }));
+      return ee.Feature(withGeometry ? centroid : null, stats)
+        .set('periodLabel', img.get('periodLabel'))
+        .set('periodStart', ee.Date(img.get('periodStart')).format('YYYY-MM-dd'))
+        .set('periodEnd', ee.Date(img.get('periodEnd')).format('YYYY-MM-dd'))
+        .set('band', band)
+        .set('count', img.get('count'))
+        .set('contamination', img.get('contamination'))
+        .set('cloudProbMissing', img.get('cloudProbMissing'))
+        .set('noData', img.get('noData'))
+        .set('filled', img.get('filled'))
+        .set('sensor', img.get('sensor'))
+        .set('compositeMethod', img.get('compositeMethod'));
+    }));
+  });
+  return ee.FeatureCollection(rows).flatten();
+}
+
+// Export the statistics table to Drive (folder defaults to config.exportFolder)
+function exportStatsTable(ic, folderName) {
+  var name = ('Indices_Stats_' + config.startYear + '_' + config.endYear + '_' +
+              periodName(config) + '_' + compositeMethodName(config.composite))
+               .replace(/[^A-Za-z0-9_-]/g, '_');
+  Export.table.toDrive({
+    collection: periodStatsTable(ic, config),
+    description: name,
+    folder: folderName || config.exportFolder,
+    fileNamePrefix: name,
+    fileFormat: config.tableExport.format,
+    selectors: statsTableColumns(config)
+  });
+  show('Info', '✅ Exporting statistics table (' + config.tableExport.format + '):', name);
+}
+
 //=====================================================================================================
 //                          ADD TIMESTAMP LABEL ON EACH GIF FRAME
 //*****************************************************************************************************
@@ -294,10 +2824,133 @@ function timestampLabel(image, region4326) {
     outlineOpacity: 0.6
   };
 
-  var dateStr = ee.Date(image.get('system:time_start')).format('YYYY-MMM');
+  var dateStr = ee.String(image.get('periodLabel')); // e.g. 2024-Jan, 2024-MAM, 2024-Jan-D2
+  // Gap-filled composites are marked so they are not mistaken for observations
+  dateStr = ee.String(ee.Algorithms.If(ee.Number(image.get('filled')).eq(1),
+                                       dateStr.cat(' (gap-filled)'), dateStr));
   return text.draw(dateStr, pt, 20, opts); // 1000 = text scale (m/px). Tweak if you want larger/smaller text.
 }
 
+//=====================================================================================================
+//                          GIF FRAME OVERLAYS (LEGEND, SCALE BAR, NORTH ARROW)
+//*****************************************************************************************************
+// config.gifOverlay decorates each GIF panel with a colour bar and min/max labels (index panels),
+// a scale bar, a north arrow and the AOI outline. Positions are fractions of the panel bounds
+// plus margins in GIF pixels, so they stay inside the panel whatever the AOI shape.
+
+var DEG_METRES = 111319.49; // Metres per degree of longitude at the equator (EPSG:3857 units)
+
+// Throw a descriptive error for an invalid config.gifOverlay
+function validateGifOverlay(cfg) {
+  ['legend', 'scaleBar', 'northArrow', 'outline'].forEach(function(key) {
+    if (typeof cfg.gifOverlay[key] !== 'boolean') {
+      throw new Error('config.gifOverlay.' + key + ' must be true or false.');
+    }
+  });
+}
+
+// Bounding box of a region as ee.Numbers (degrees)
+function regionBounds(region4326) {
+  var coords = ee.List(region4326.bounds().coordinates().get(0));
+  var b = {
+    xmin: ee.Number(ee.List(coords.get(0)).get(0)),
+    ymin: ee.Number(ee.List(coords.get(0)).get(1)),
+    xmax: ee.Number(ee.List(coords.get(2)).get(0)),
+    ymax: ee.Number(ee.List(coords.get(2)).get(1))
+  };
+  b.width = b.xmax.subtract(b.xmin);
+  b.height = b.ymax.subtract(b.ymin);
+  return b;
+}
+
+// Overlay images for one panel covering region4326. vis: index visualization for the colour bar
+// (null for RGB panels), title: optional panel title, px: size of one GIF pixel in degrees.
+function gifOverlays(region4326, vis, title, px) {
+  var opts = config.gifOverlay;
+  var b = regionBounds(region4326);
+  var margin = px.multiply(10);
+  var cosLat = b.ymin.add(b.ymax).divide(2).multiply(Math.PI / 180).cos();
+  var white = ee.Image.constant([255, 255, 255]).rename(['vis-red', 'vis-green', 'vis-blue']);
+  var black = ee.Image.constant([0, 0, 0]).rename(['vis-red', 'vis-green', 'vis-blue']);
+  var overlays = [];
+
+  // Geometry filled (width undefined) or outlined in a constant colour
+  function fill(colour, geometry, width) {
+    var fc = ee.FeatureCollection([ee.Feature(geometry)]);
+    return colour.updateMask(ee.Image.constant(0).paint(fc, 1, width));
+  }
+  // Text anchored at (x, y); text.draw works in EPSG:3857 metres, so one GIF pixel = px * DEG_METRES
+  function label(str, x, y, alignX, fontSize) {
+    return text.draw(str, ee.Geometry.Point([x, y]), px.multiply(DEG_METRES), {
+      fontSize: fontSize || 14, textColor: 'ffffff', outlineColor: '000000',
+      outlineWidth: 2, outlineOpacity: 0.8, alignX: alignX, alignY: 'top'
+    });
+  }
+
+  if (opts.outline) {
+    overlays.push(ee.Image().byte()
+      .paint(ee.FeatureCollection([ee.Feature(region4326)]), 0, 2)
+      .visualize({palette: ['ffff00']}));
+  }
+
+  // Colour bar along the bottom-left, min/max labels underneath
+  if (opts.legend && vis) {
+    var x0 = b.xmin.add(margin);
+    var x1 = x0.add(b.width.multiply(0.3));
+    var y0 = b.ymin.add(margin).add(px.multiply(18));
+    var bar = ee.Geometry.Rectangle([x0, y0, x1, y0.add(px.multiply(10))], null, false);
+    overlays.push(fill(black, ee.Geometry.Rectangle([x0.subtract(px), y0.subtract(px),
+                                                     x1.add(px), y0.add(px.multiply(11))],
+                                                    null, false)));
+    overlays.push(ee.Image.pixelLonLat().select('longitude').unitScale(x0, x1)
+      .visualize({min: 0, max: 1, palette: vis.palette}).clip(bar));
+    overlays.push(label(ee.Number(vis.min).format('%.2f'), x0, y0.subtract(px.multiply(2)), 'left'));
+    overlays.push(label(ee.Number(vis.max).format('%.2f'), x1, y0.subtract(px.multiply(2)), 'right'));
+  }
+
+  // Scale bar along the bottom-right: a round length of about 20% of the panel width
+  if (opts.scaleBar) {
+    var target = b.width.multiply(DEG_METRES).multiply(cosLat).multiply(0.2);
+    var power = ee.Number(10).pow(target.log10().floor());
+    var mantissa = target.divide(power);
+    var metres = power.multiply(ee.Number(ee.Algorithms.If(mantissa.gte(5), 5,
+                                          ee.Algorithms.If(mantissa.gte(2), 2, 1))));
+    var sx1 = b.xmax.subtract(margin);
+    var sx0 = sx1.subtract(metres.divide(cosLat.multiply(DEG_METRES)));
+    var sy0 = b.ymin.add(margin).add(px.multiply(18));
+    overlays.push(fill(black, ee.Geometry.Rectangle([sx0.subtract(px), sy0.subtract(px),
+                                                     sx1.add(px), sy0.add(px.multiply(6))],
+                                                    null, false)));
+    overlays.push(fill(white, ee.Geometry.Rectangle([sx0, sy0, sx1, sy0.add(px.multiply(5))],
+                                                    null, false)));
+    var distance = ee.String(ee.Algorithms.If(metres.gte(1000),
+                                              metres.divide(1000).format('%.0f').cat(' km'),
+                                              metres.format('%.0f').cat(' m')));
+    overlays.push(label(distance, sx0.add(sx1).divide(2), sy0.subtract(px.multiply(2)), 'center'));
+  }
+
+  // North arrow in the top-right corner
+  if (opts.northArrow) {
+    var ax = b.xmax.subtract(margin).subtract(px.multiply(8));
+    var ay = b.ymax.subtract(margin);
+    var arrow = ee.Geometry.Polygon([[
+      [ax, ay],
+      [ax.subtract(px.multiply(7)), ay.subtract(px.multiply(20))],
+      [ax.add(px.multiply(7)), ay.subtract(px.multiply(20))]
+    ]], null, false);
+    overlays.push(fill(white, arrow));
+    overlays.push(fill(black, arrow, 1));
+    overlays.push(label('N', ax, ay.subtract(px.multiply(22)), 'center'));
+  }
+
+  // Panel title at the top centre
+  if (title) {
+    overlays.push(label(title, b.xmin.add(b.width.divide(2)), b.ymax.subtract(margin),
+                        'center', 24));
+  }
+  return overlays;
+}
+
 //=====================================================================================================
 //                          GENERATE INDICES GIF FUNCTION
 //*****************************************************************************************************
@@ -306,11 +2959,19 @@ function timestampLabel(image, region4326) {
 function createGif(ic, aoi, band, title) {
   var region4326 = aoi.geometry().transform('EPSG:4326', 1);
   
-  //Option 1: Normalised values 0-1 
-  var vis = {min: 0, max: 1, palette: ['#d9a679', '#ffffb2', '#78c679', '#238443']};
+  //Option 1: Range and palette from INDEX_REGISTRY (0-1 for *_Normalized bands)
+  var indexName = band.replace('_Normalized', '');
+  var vis = INDEX_REGISTRY[indexName] ?
+    indexVis(indexName, indexName !== band) :
+    {min: 0, max: 1, palette: indexPalette};
   
   //Option 2: Normalized for Comparability based on indices max/min values
   //var vis = {min: 0.05, max: 0.25, palette: ['#d9a679', '#ffffb2', '#78c679', '#238443']};
+
+  // Legend, scale bar, north arrow and outline (the same on every frame)
+  var b = regionBounds(region4326);
+  var overlay = ee.ImageCollection(
+    gifOverlays(region4326, vis, null, b.width.max(b.height).divide(600))).mosaic();
   
   var gifCollection = ic
     .filter(ee.Filter.neq('noData', 1))
@@ -322,7 +2983,7 @@ function createGif(ic, aoi, band, title) {
       var count = bandImg.reduceRegion({
         reducer: ee.Reducer.count(),
         geometry: aoi,
-        scale: 10,
+        scale: config.scale,
         maxPixels: 1e13
       }).getNumber(band);
       
@@ -330,7 +2991,7 @@ function createGif(ic, aoi, band, title) {
       return ee.Algorithms.If(
         count.gt(0),
         (function() {
-          var visImg = bandImg.visualize(vis);
+          var visImg = bandImg.visualize(vis).blend(overlay);
           var label = timestampLabel(img, region4326);
           return visImg.blend(label).set('system:time_start', img.get('system:time_start'));
         })(),
@@ -349,10 +3010,10 @@ function createGif(ic, aoi, band, title) {
 
   gifCollection.size().evaluate(function(n) {
     if (n > 0) {
-      print(ui.Thumbnail(gifCollection, gifParams, title + ' Animation (with date)'));
-      print('📥 Download ' + title + ' GIF:', gifCollection.getVideoThumbURL(gifParams));
+      show('Gallery', ui.Thumbnail(gifCollection, gifParams, title + ' Animation (with date)'));
+      show('Gallery', '📥 Download ' + title + ' GIF:', gifCollection.getVideoThumbURL(gifParams));
     } else {
-      print('⚠️ No ' + title + ' data available for animation.');
+      show('Gallery', '⚠️ No ' + title + ' data available for animation.');
     }
   });
 }
@@ -364,16 +3025,21 @@ function createRgbGif(ic, aoi, title) {
   var region4326 = aoi.geometry().transform('EPSG:4326', 1);
 
   // Sentinel-2 true color visualization
-  var visRgb = {bands: ['B4','B3','B2'], min: 0, max: 0.3, gamma:1.2};
+  var visRgb = {bands: ['red','green','blue'], min: 0, max: 0.3, gamma:1.2};
+
+  // Scale bar, north arrow and outline (no colour bar for RGB)
+  var b = regionBounds(region4326);
+  var overlay = ee.ImageCollection(
+    gifOverlays(region4326, null, null, b.width.max(b.height).divide(600))).mosaic();
 
   var rgbCollection = ic
     .filter(ee.Filter.neq('noData', 1))   // skip months flagged as dummy
     .sort('system:time_start')
     .map(function(img) {
-      var rgbImg = img.select(['B4','B3','B2']);
+      var rgbImg = img.select(['red','green','blue']);
 
       // Visualize directly (no need for reduceRegion check anymore)
-      var visImg = rgbImg.visualize(visRgb);
+      var visImg = rgbImg.visualize(visRgb).blend(overlay);
       var label  = timestampLabel(img, region4326);
       return visImg.blend(label)
                    .set('system:time_start', img.get('system:time_start'));
@@ -389,10 +3055,10 @@ function createRgbGif(ic, aoi, title) {
 
   rgbCollection.size().evaluate(function(n) {
     if (n > 0) {
-      print(ui.Thumbnail(rgbCollection, gifParams, title + ' RGB Animation (with date)'));
-      print('📥 Download ' + title + ' RGB GIF:', rgbCollection.getVideoThumbURL(gifParams));
+      show('Gallery', ui.Thumbnail(rgbCollection, gifParams, title + ' RGB Animation (with date)'));
+      show('Gallery', '📥 Download ' + title + ' RGB GIF:', rgbCollection.getVideoThumbURL(gifParams));
     } else {
-      print('⚠️ No ' + title + ' RGB data available for animation.');
+      show('Gallery', '⚠️ No ' + title + ' RGB data available for animation.');
     }
   });
 }
@@ -405,170 +3071,188 @@ function createRgbGif(ic, aoi, title) {
 
 /*
 //Option 1: Normalised
-var visSat  = {bands:['B4','B3','B2'], min:0, max:0.3, gamma:1.3};
-var visNDVI = {bands:['NDVI_Normalized'], min:0, max:1, palette:['#d9a679', '#ffffb2', '#78c679', '#238443']};
-var visEVI  = {bands:['EVI_Normalized'],  min:0, max:1, palette:['#d9a679', '#ffffb2', '#78c679', '#238443']};
-var visSAVI = {bands:['SAVI_Normalized'], min:0, max:1, palette:['#d9a679', '#ffffb2', '#78c679', '#238443']};
+var visSat  = {bands:['red','green','blue'], min:0, max:0.3, gamma:1.3};
+var visNDVI = indexVis('NDVI', true);
+var visEVI  = indexVis('EVI', true);
+var visSAVI = indexVis('SAVI', true);
 */
 
-//Option 2: Raw
-var visSat  = {bands:['B4','B3','B2'], min:0, max:0.3, gamma:1.2};
-var visNDVI = {bands:['NDVI'], min:0, max:1, palette:['#d9a679', '#ffffb2', '#78c679', '#238443']};
-var visEVI  = {bands:['EVI'],  min:0, max:1, palette:['#d9a679', '#ffffb2', '#78c679', '#238443']};
-var visSAVI = {bands:['SAVI'], min:0, max:1, palette:['#d9a679', '#ffffb2', '#78c679', '#238443']};
+//Option 2: Raw (ranges and palettes from INDEX_REGISTRY)
+var visSat  = {bands:['red','green','blue'], min:0, max:0.3, gamma:1.2};
+var visNDVI = indexVis('NDVI');
+var visEVI  = indexVis('EVI');
+var visSAVI = indexVis('SAVI');
 
-function createHorizontalGif(ic, title, panelTypes) {
-  // panelTypes should be an array like ['sat', 'evi'] or ['sat', 'savi'] or ['sat', 'ndvi']
-  var nPanels = panelTypes.length;
-  var region4326 = aoi.geometry().transform('EPSG:4326', 1);
+// Tiled GIF panels (config.outputs.tiledGifs[].panels), as a string:
+//   'sat'          true colour (visSat)
+//   'falseColor'   NIR/red/green false colour (B8/B4/B3)
+//   'ndvi', 'EVI'  any selected index (any case), 'NDVI_Normalized', or a band such as 'nir'
+// or as an object with an optional title, min, max, gamma / palette:
+//   {type: 'rgb', bands: ['nir', 'red', 'green']}
+//   {type: 'difference', bands: ['NDVI', 'EVI']}   NDVI − EVI on a diverging palette
+//   {type: 'band', band: 'nir'}
+// Resolve one panel spec, throwing a descriptive error for unknown types or bands
+function gifPanel(spec, cfg) {
+  var bandNames = compositeBandNames(cfg.indices);
+  function checkBands(bands) {
+    bands.forEach(function(band) {
+      if (bandNames.indexOf(band) === -1) {
+        throw new Error('Tiled GIF panel band "' + band + '" is not one of ' +
+                        bandNames.join(', ') + '.');
+      }
+    });
+    return bands;
+  }
+
+  if (typeof spec === 'string') {
+    if (spec === 'sat') {
+      return {type: 'rgb', bands: ['red', 'green', 'blue'], title: 'RGB'};
+    }
+    if (spec === 'falseColor') {
+      return {type: 'rgb', bands: ['nir', 'red', 'green'], title: 'False colour'};
+    }
+    if (cfg.indices.indexOf(spec.toUpperCase()) !== -1) {
+      return {type: 'index', index: spec.toUpperCase(), title: spec.toUpperCase()};
+    }
+    var index = spec.replace('_Normalized', '');
+    if (index !== spec && cfg.indices.indexOf(index) !== -1) {
+      return {type: 'index', index: index, normalized: true, title: spec};
+    }
+    if (bandNames.indexOf(spec) !== -1) {
+      return {type: 'band', band: spec, title: spec};
+    }
+  } else if (spec && spec.type === 'rgb' && spec.bands && spec.bands.length === 3) {
+    return {type: 'rgb', bands: checkBands(spec.bands), title: spec.title || spec.bands.join('/'),
+            min: spec.min, max: spec.max, gamma: spec.gamma};
+  } else if (spec && spec.type === 'difference' && spec.bands && spec.bands.length === 2) {
+    return {type: 'difference', bands: checkBands(spec.bands),
+            title: spec.title || spec.bands.join(' - '),
+            min: spec.min, max: spec.max, palette: spec.palette};
+  } else if (spec && spec.type === 'band' && typeof spec.band === 'string') {
+    return {type: 'band', band: checkBands([spec.band])[0], title: spec.title || spec.band,
+            min: spec.min, max: spec.max, palette: spec.palette};
+  }
+  throw new Error('Unknown tiled GIF panel ' + JSON.stringify(spec) + ': use \'sat\', ' +
+                  '\'falseColor\', an index or band of ' + bandNames.join(', ') +
+                  ', or {type: \'rgb\' | \'difference\' | \'band\', ...}.');
+}
+
+// Visualization of a resolved panel; `legend` is the colour bar source (null for RGB panels)
+function gifPanelVis(panel) {
+  var vis;
+  if (panel.type === 'rgb') {
+    vis = {bands: panel.bands, min: visSat.min, max: visSat.max, gamma: visSat.gamma};
+  } else if (panel.type === 'index') {
+    vis = indexVis(panel.index, panel.normalized);
+  } else if (panel.type === 'difference') {
+    vis = {min: -0.5, max: 0.5, palette: ['b2182b', 'f7f7f7', '1a9850']};
+  } else {
+    vis = {bands: [panel.band], min: 0, max: 0.3, palette: ['000000', 'ffffff']};
+  }
+  ['min', 'max', 'gamma', 'palette'].forEach(function(key) {
+    if (panel[key] !== undefined) vis[key] = panel[key];
+  });
+  return {vis: vis, legend: panel.type === 'rgb' ? null : vis};
+}
+
+// Visualized panel image for one composite
+function gifPanelImage(panel, vis, img) {
+  if (panel.type === 'difference') {
+    return img.select(panel.bands[0]).subtract(img.select(panel.bands[1])).visualize(vis);
+  }
+  return img.visualize(vis);
+}
+
+// Comparison GIF of gif.panels laid out in a grid of gif.columns columns (default: one row),
+// e.g. {title: 'Sat vs EVI', panels: ['sat', 'evi']} or
+// {title: 'Grid', columns: 2, panels: ['sat', 'falseColor', 'ndvi', {type: 'difference', bands: ['NDVI', 'EVI']}]}
+function createTiledGif(ic, gif) {
+  var panels;
+  try {
+    panels = gif.panels.map(function(spec) { return gifPanel(spec, config); });
+  } catch (e) {
+    show('Gallery', '⚠️ Skipping tiled GIF "' + gif.title + '": ' + e.message);
+    return;
+  }
+  var nPanels = panels.length;
+  var columns = gif.columns || nPanels;
+  var rows = Math.ceil(nPanels / columns);
+  var region4326 = config.aoi.geometry().transform('EPSG:4326', 1);
 
-  // AOI bounds
-  var bounds = region4326.bounds();
-  var coords = ee.List(bounds.coordinates().get(0));
-  var xmin = ee.Number(ee.List(coords.get(0)).get(0));
-  var ymin = ee.Number(ee.List(coords.get(0)).get(1));
-  var xmax = ee.Number(ee.List(coords.get(2)).get(0));
-  var ymax = ee.Number(ee.List(coords.get(2)).get(1));
-  var dx = xmax.subtract(xmin);
+  // AOI bounds; panel (row, column) is the AOI shifted right by column and down by row
+  var b = regionBounds(region4326);
+  var dx = b.width;
+  var dy = b.height;
 
   // Expanded region for output
   var outRegion = ee.Geometry.Rectangle([
-    xmin, ymin,
-    xmin.add(dx.multiply(nPanels)), ymax
-  ]);
+    b.xmin, b.ymax.subtract(dy.multiply(rows)),
+    b.xmin.add(dx.multiply(columns)), b.ymax
+  ], null, false);
 
   var gifParams = {
     region: outRegion,
-    dimensions: 500 * nPanels,
+    dimensions: 500 * Math.max(columns, rows),
     framesPerSecond: 1,
     crs: 'EPSG:4326'
   };
 
+  // Title, legend, scale bar, north arrow and outline per panel (the same on every frame)
+  var px = dx.multiply(columns).max(dy.multiply(rows)).divide(gifParams.dimensions);
+  var styles = panels.map(function(panel) {
+    var style = gifPanelVis(panel);
+    style.overlay = ee.ImageCollection(
+      gifOverlays(region4326, style.legend, panel.title, px)).mosaic();
+    return style;
+  });
+
   var combo = ic.filter(ee.Filter.neq('noData', 1))
                 .sort('system:time_start')
                 .map(function(img) {
-    var label = timestampLabel(img, region4326);
-
-    // Create visualization lookup
-    var visualizations = {
-      'sat':  img.visualize(visSat).clip(region4326),
-      'ndvi': img.visualize(visNDVI).clip(region4326),
-      'evi':  img.visualize(visEVI ).clip(region4326),
-      'savi': img.visualize(visSAVI).clip(region4326)
-    };
-
-    // Create label lookup
-    var labelNames = {
-      'sat': 'RGB',
-      'ndvi': 'NDVI', 
-      'evi': 'EVI',
-      'savi': 'SAVI'
-    };
-
-    // Build panels dynamically
     var panelsToMosaic = [];
-    
-    for (var i = 0; i < nPanels; i++) {
-      var panelType = panelTypes[i];
-      
-      // Get the visualization for this panel
-      var panel = visualizations[panelType];
-      
-      // Shift panel to correct position
-      var shiftedPanel = panel.changeProj(panel.projection(), panel.projection().translate(dx.multiply(i), 0));
-      panelsToMosaic.push(shiftedPanel);
-      
+
+    panels.forEach(function(panel, i) {
+      var column = i % columns;
+      var row = Math.floor(i / columns);
+
+      // Panel with its overlays, shifted to its grid cell
+      var tile = gifPanelImage(panel, styles[i].vis, img).clip(region4326)
+                   .blend(styles[i].overlay);
+      tile = tile.changeProj(tile.projection(), tile.projection()
+                   .translate(dx.multiply(column), dy.multiply(-row)));
+      panelsToMosaic.push(tile);
+
       // Add frame for this panel
       var panelBounds = ee.Geometry.Rectangle([
-        xmin.add(dx.multiply(i)), ymin,
-        xmin.add(dx.multiply(i+1)), ymax
-      ]);
-      var panelOutline = panelBounds.bounds();
-      var panelFrame = ee.Image.constant([255,255,255]) 
-        .updateMask(ee.Image.constant(0).paint(panelOutline, 1, 3))
+        b.xmin.add(dx.multiply(column)), b.ymax.subtract(dy.multiply(row + 1)),
+        b.xmin.add(dx.multiply(column + 1)), b.ymax.subtract(dy.multiply(row))
+      ], null, false);
+      var panelFrame = ee.Image.constant([255,255,255])
+        .updateMask(ee.Image.constant(0).paint(panelBounds, 1, 3))
         .rename(['vis-red','vis-green','vis-blue']);
       panelsToMosaic.push(panelFrame);
-      
-      // Create and position label for this panel
-      // White text for SAT/RGB, black text for vegetation indices
-      var labelColor = panelType === 'sat' ? [255,255,255] : [255,255,255]; //[0,0,0] for black
-      var panelLabel = ee.Image.constant(labelColor).updateMask(
-        text.draw(labelNames[panelType], 
-                 ee.Geometry.Point([xmin.add(dx.multiply(i + 0.5)), ymin.add((ymax.subtract(ymin)).multiply(0.1))]), 24)
-      ).rename(['vis-red','vis-green','vis-blue']);
-      panelsToMosaic.push(panelLabel);
-    }
-    
-    // Add the timestamp label LAST so it stays on top
-    panelsToMosaic.push(label);
-    
-    /* -- displaying but wierd position -- fix how it's displaying later
-    // Add legends for vegetation indices
-    for (var j = 0; j < nPanels; j++) {
-      var panelTypeLg = panelTypes[j];
-      
-      if (panelTypeLg !== 'sat') {
-        // Create color bar legend for vegetation indices
-        var legendX = xmin.add(dx.multiply(j)).add(dx.multiply(0.05)); // 5% from left edge of panel
-        var legendY = ymax.subtract((ymax.subtract(ymin)).multiply(0.2)); // 20% from bottom
-        var legendWidth = dx.multiply(0.2); // 20% of panel width
-        var legendHeight = (ymax.subtract(ymin)).multiply(0.15); // 15% of panel height
-        
-        // Get min/max for this index
-        var visParams = panelTypeLg === 'ndvi' ? visNDVI : 
-                       panelTypeLg === 'evi' ? visEVI : visSAVI;
-        var legendMin = visParams.min;
-        var legendMax = visParams.max;
-        
-        // Create color gradient for legend
-        var legendGradient = ee.Image.pixelLonLat()
-          .select('latitude')
-          .unitScale(legendY, legendY.add(legendHeight))
-          .visualize({
-            min: 0, 
-            max: 1, 
-            palette: visParams.palette
-          })
-          .clip(ee.Geometry.Rectangle([
-            legendX, legendY,
-            legendX.add(legendWidth), legendY.add(legendHeight)
-          ]));
-        
-        panelsToMosaic.push(legendGradient);
-        
-        // Add legend labels (min/max values)
-        var minLabel = ee.Image.constant([255,255,255]).updateMask(
-          text.draw(ee.Number(legendMin).format('%.2f'), 
-                   ee.Geometry.Point([legendX.add(legendWidth.multiply(1.1)), legendY]), 12)
-        ).rename(['vis-red','vis-green','vis-blue']);
-        
-        var maxLabel = ee.Image.constant([255,255,255]).updateMask(
-          text.draw(ee.Number(legendMax).format('%.2f'), 
-                   ee.Geometry.Point([legendX.add(legendWidth.multiply(1.1)), legendY.add(legendHeight)]), 12)
-        ).rename(['vis-red','vis-green','vis-blue']);
-        
-        panelsToMosaic.push(minLabel);
-        panelsToMosaic.push(maxLabel);
-      }
-    }
-    */
+    });
+
+    // Add the timestamp label (top-left panel) LAST so it stays on top
+    panelsToMosaic.push(timestampLabel(img, region4326));
 
     return ee.ImageCollection(panelsToMosaic).mosaic()
             .set('system:time_start', img.get('system:time_start'));
   });
 
-  print(ui.Thumbnail(combo, gifParams, title + ' Comparison GIF'));
-  print('📥 Download ' + title + ' GIF:', combo.getVideoThumbURL(gifParams));
+  show('Gallery', ui.Thumbnail(combo, gifParams, gif.title + ' Comparison GIF'));
+  show('Gallery', '📥 Download ' + gif.title + ' GIF:', combo.getVideoThumbURL(gifParams));
 }
 
 //=====================================================================================================
 //                          TIME SERIES CHART FUNCTION
 //*****************************************************************************************************
 
-// Function to plot values as a time series chart
-
-// Function to plot values as a time series chart
+// Function to plot values as a time series chart (with its smoothed curve when config.smoothing
+// produced a <band>_fitted band)
 function createTimeSeriesChart(ic, band, title, color) {
+  var bands = withFittedBands([band]);
+
   // Mask out dummy "noData" months before charting
   var maskedIC = ic.map(function(img) {
     var noData = ee.Number(img.get('noData'));
@@ -580,10 +3264,10 @@ function createTimeSeriesChart(ic, band, title, color) {
   });
 
   var chart = ui.Chart.image.series({
-    imageCollection: ee.ImageCollection(maskedIC).select(band),
-    region: aoi,
+    imageCollection: ee.ImageCollection(maskedIC).select(bands),
+    region: config.aoi,
     reducer: ee.Reducer.mean(),
-    scale: 10,
+    scale: config.scale,
     xProperty: 'system:time_start'
   }).setOptions({
     lineWidth: 2,
@@ -592,23 +3276,59 @@ function createTimeSeriesChart(ic, band, title, color) {
     interpolateNulls: true,
     vAxis: {
       title: band,
-      viewWindow: {min: 0, max: 1},
+      viewWindow: /_Normalized$/.test(band) ? normalizedRange() : {min: 0, max: 1},
       gridlines: {count: 11}
     },
     hAxis: {
       title: 'Date',
-      format: 'YYYY-MMM',
+      format: periodAxisFormat(config),
       slantedText: true,
       slantedTextAngle: 90
     },
-    series: {0: {color: color, lineWidth: 3}}
+    series: {
+      0: {color: color, lineWidth: 3},
+      1: {color: color, lineWidth: 2, lineDashStyle: [6, 3], pointSize: 0} // fitted
+    }
+  });
+
+  show('Charts', chart);
+}
+
+// ui.Chart.image.series orders series alphabetically by band name (EVI, NDVI, nir, red, ...),
+// so build the series styles in that same order
+var reflectanceStyles = {
+  red: {color: '#d73027', lineDashStyle: [4, 2], pointSize: 5, lineWidth: 2}, // Red
+  nir: {color: '#800080', lineDashStyle: [4, 2], pointSize: 5, lineWidth: 2}  // NIR (Purple)
+};
+
+function seriesStyles(bandNames) {
+  var series = {};
+  bandNames.slice().sort().forEach(function(band, i) {
+    var fitted = /_fitted$/.test(band);
+    var indexName = band.replace(/_fitted$/, '').replace(/_Normalized$/, '');
+    var entry = INDEX_REGISTRY[indexName];
+    var color = entry && (entry.comboColor || entry.color);
+    series[i] = reflectanceStyles[band] ||
+                (fitted ? {color: color, pointSize: 0, lineWidth: 2, lineDashStyle: [6, 3]} :
+                          {color: color, pointSize: 5, lineWidth: 3});
   });
+  return series;
+}
 
-  print(chart);
+// Add the *_fitted companion of each band that config.smoothing smoothed
+function withFittedBands(bandNames) {
+  var smoothed = smoothedBands(config);
+  return bandNames.concat(bandNames.filter(function(band) {
+    return smoothed.indexOf(band) !== -1;
+  }).map(function(band) {
+    return band + '_fitted';
+  }));
 }
 
-// Function to plot all 3 indices in one time series chart
-function createCombinedChart(ic, aoi) {
+// Function to plot the selected indices (default config.indices) in one time series chart
+function createCombinedChart(ic, aoi, indexNames) {
+  indexNames = indexNames || config.indices;
+
   // Mask out dummy "noData" months
   var maskedIC = ic.map(function(img) {
     var noData = ee.Number(img.get('noData'));
@@ -619,16 +3339,17 @@ function createCombinedChart(ic, aoi) {
     );
   });
 
-  // Select all three bands
+  // Select the index bands (and their fitted curves when smoothing is on)
+  var bandNames = withFittedBands(indexNames);
   var chart = ui.Chart.image.series({
-    imageCollection: ee.ImageCollection(maskedIC).select(['NDVI', 'EVI']),//, 'SAVI_Normalized']),
+    imageCollection: ee.ImageCollection(maskedIC).select(bandNames),
     region: aoi,
     reducer: ee.Reducer.mean(),
-    scale: 10,
+    scale: config.scale,
     xProperty: 'system:time_start'
   }).setChartType('LineChart')
     .setOptions({
-      title: 'NDVI and EVI Time Series',//, and SAVI Time Series',
+      title: indexNames.join(', ') + ' Time Series',
       lineWidth: 2,
       pointSize: 5,
       interpolateNulls: false,
@@ -639,22 +3360,21 @@ function createCombinedChart(ic, aoi) {
       },
       hAxis: {
         title: 'Date',
-        format: 'YYYY-MMM',
+        format: periodAxisFormat(config),
         slantedText: true,
         slantedTextAngle: 90
       },
-      series: {
-        0: {color: '#32CD32', pointSize: 5, lineWidth: 3}, // EVI (lime green)
-        1: {color: '#006400', pointSize: 5, lineWidth: 3}, // NDVI (forest green)
-        //2: {color: '#4575b4', lineWidth: 3}  // SAVI (blue)
-      }
+      series: seriesStyles(bandNames) // colours from INDEX_REGISTRY
     });
 
-  print(chart);
+  show('Charts', chart);
 }
 
-// Function to plot VIs and Reflectances in a combined chart
-function createVIReflectances(ic, aoi) {
+// Function to plot VIs (default config.indices) and Reflectances in a combined chart
+function createVIReflectances(ic, aoi, indexNames) {
+  indexNames = indexNames || config.indices;
+  var bandNames = indexNames.concat(['red', 'nir']);
+
   // Mask out dummy "noData" months
   var maskedIC = ic.map(function(img) {
     var noData = ee.Number(img.get('noData'));
@@ -664,16 +3384,16 @@ function createVIReflectances(ic, aoi) {
       img
     );
   });
-  // Select all three bands
+  // Select the index and reflectance bands
   var chart = ui.Chart.image.series({
-    imageCollection: ee.ImageCollection(maskedIC).select(['NDVI', 'EVI','B4', 'B8']),//, 'SAVI_Normalized']),
+    imageCollection: ee.ImageCollection(maskedIC).select(bandNames),
     region: aoi,
     reducer: ee.Reducer.mean(),
-    scale: 10,
+    scale: config.scale,
     xProperty: 'system:time_start'
   }).setChartType('LineChart')
     .setOptions({
-      title: 'NDVI, EVI, B4-Red, and B8-NIR Time Series',//, and SAVI Time Series'
+      title: indexNames.join(', ') + ', Red, and NIR Time Series',
       interpolateNulls: false,
       vAxis: {
         title: 'VI and Reflectances',
@@ -682,33 +3402,28 @@ function createVIReflectances(ic, aoi) {
       },
       hAxis: {
         title: 'Date',
-        format: 'YYYY-MMM',
+        format: periodAxisFormat(config),
         slantedText: true,
         slantedTextAngle: 90
       },
-      series: {
-        0: {color: '#d73027', lineDashStyle: [4, 2], pointSize: 5, lineWidth:2},  // B4 (Red)
-        1: {color: '#800080', lineDashStyle: [4, 2], pointSize: 5, lineWidth: 2},  // B8 (Purple)
-        2: {color: '#32CD32', pointSize: 5, lineWidth: 3}, // EVI (lime green)
-        3: {color: '#006400', pointSize: 5, lineWidth: 3}, // NDVI (forest green)
-      }
+      series: seriesStyles(bandNames)
     });
-  print(chart);
+  show('Charts', chart);
 }
 
 //=====================================================================================================
 //                          IMAGE COUNT CHART FUNCTION
 //*****************************************************************************************************
 
-// Function to plot a bar chart showing number of images used per month
+// Function to plot a bar chart showing number of images used per period
 function createImageCountChart(ic) {
   var chart = ui.Chart.feature.byFeature(ic, 'system:time_start', ['count'])
     .setChartType('ColumnChart')
     .setOptions({
-      title: 'Monthly Image Count',
+      title: periodName(config) + ' Image Count',
       hAxis: {
         title: 'Date',
-        format: 'YYYY-MM',
+        format: periodAxisFormat(config),
         slantedText: true,
         slantedTextAngle: 90
       },
@@ -716,320 +3431,860 @@ function createImageCountChart(ic) {
       legend: { position: 'none' },
       colors: ['#1f77b4', '#2ca02c', '#ff7f0e', '#9467bd']
     });
-  print(chart);
+  show('Quality', chart);
 }
 
 //=====================================================================================================
 //                          IMAGE CONTAMINATION WITH CLOUD/SHADOW CHART FUNCTION
 //*****************************************************************************************************
+// cloudProbMissing (% of scenes without S2 cloud probability, masked by SCL only) is shown next to
+// the contamination so "clean" periods that were never probability-masked stand out
 function createContaminationChart(ic) {
-  var chart = ui.Chart.feature.byFeature(ic, 'system:time_start', ['contamination'])
+  var chart = ui.Chart.feature.byFeature(ic, 'system:time_start', ['contamination', 'cloudProbMissing'])
     .setChartType('ColumnChart')
+    .setSeriesNames(['Contamination', 'Scenes missing cloud probability'])
     .setOptions({
-      title: 'Monthly Cloud/Shadow Contamination (%)',
+      title: periodName(config) + ' Cloud/Shadow Contamination (%)',
       hAxis: {
         title: 'Date',
-        format: 'YYYY-MM',
+        format: periodAxisFormat(config),
         slantedText: true,
         slantedTextAngle: 90
       },
       vAxis: { 
-        title: 'Contamination (%)',
+        title: 'Contamination / missing (%)',
         //minValue: 0,
         //maxValue: 100
       },
-      legend: { position: 'none' },
-      colors: ['#d62728']
+      legend: { position: 'bottom' },
+      colors: ['#d62728', '#7f7f7f']
     });
-  print(chart);
+  show('Quality', chart);
   return chart;
 }
 
 // ==================================================================
-// 📊 SEPARATE HISTOGRAMS PER MONTH (skip empty months, auto bucket size)
+// 📊 SEPARATE HISTOGRAMS PER PERIOD (skip empty periods, auto bucket size)
 // ==================================================================
-function monthlyHistograms(ic, band, title, xMin, xMax) {
-  var monthNames = [
-    'Jan','Feb','Mar','Apr','May','Jun',
-    'Jul','Aug','Sep','Oct','Nov','Dec'
-  ];
-  
-  // Loop client-side over 12 months
-  for (var m = 1; m <= 12; m++) {
-    var monthCol = ic.filter(ee.Filter.eq('month', m))
-                    .filter(ee.Filter.neq('noData', 1)); // Filter out no-data images
-    var monthName = monthNames[m - 1];
-    
-    // Check if we have valid data for this month
-    var collectionSize = monthCol.size().getInfo();
-    
-    if (collectionSize > 0) {
-      try {
-        var img = monthCol.first();
-        
-        // Additional check: count unmasked pixels to ensure data exists
-        var pixelCount = img.select(band).reduceRegion({
-          reducer: ee.Reducer.count(),
-          geometry: aoi,
-          scale: 10,
-          maxPixels: 1e13
-        }).getNumber(band).getInfo();
-        
-        if (pixelCount > 0) {
+// The valid-pixel counts of all periods and bands are computed in one server-side request and
+// evaluated asynchronously; each band's charts are added to its console panel in chronological
+// order when it returns. histograms: [{band, title, xMin, xMax}]
+function monthlyHistograms(ic, histograms) {
+  var sorted = ic.sort('system:time_start');
+  var bands = histograms.map(function(h) { return h.band; });
+
+  // Valid pixels of every band per period (0 for no-data periods)
+  var counts = ee.FeatureCollection(sorted.map(function(img) {
+    var pixelCounts = img.select(bands).reduceRegion({
+      reducer: ee.Reducer.count(),
+      geometry: config.aoi,
+      scale: config.scale,
+      maxPixels: 1e13
+    });
+    return ee.Feature(null, {
+      periodLabel: img.get('periodLabel'),
+      time: img.get('system:time_start'),
+      noData: img.get('noData'),
+      pixelCounts: pixelCounts
+    });
+  }));
+
+  // Reserve the places in the console; charts are added when the counts arrive
+  var panels = histograms.map(function(h) {
+    var panel = ui.Panel([ui.Label('⏳ Loading ' + h.title + ' histograms...')]);
+    show('Histograms', panel);
+    return panel;
+  });
+
+  counts.evaluate(function(result, error) {
+    histograms.forEach(function(h, i) {
+      var band = h.band;
+      var title = h.title;
+      var panel = panels[i];
+      panel.clear();
+      if (error) {
+        panel.add(ui.Label('⚠️ Error:' + title + ': ' + error));
+        return;
+      }
+      result.features.forEach(function(f) {
+        var monthName = f.properties.periodLabel;
+        if (f.properties.noData === 1) {
+          panel.add(ui.Label('⚠️ No ' + title + ' data available(' + monthName + ').'));
+        } else if (!(f.properties.pixelCounts[band] > 0)) {
+          panel.add(ui.Label('⚠️ No valid pixels for ' + title + ' (' + monthName + ').'));
+        } else {
+          var img = sorted.filter(ee.Filter.eq('system:time_start', f.properties.time)).first();
           var chart = ui.Chart.image.histogram({
             image: img.select(band),
-            region: aoi,
-            scale: 10,
+            region: config.aoi,
+            scale: config.scale,
             maxPixels: 1e13
           })
           .setSeriesNames([band])
           .setOptions({
             title: title + ' - ' + monthName,
-            hAxis: {title: band, viewWindow: {min: xMin, max: xMax}},
+            hAxis: {title: band, viewWindow: {min: h.xMin, max: h.xMax}},
             vAxis: {title: 'Pixel Count'},
             legend: {position: 'none'},
             histogram: {bucketSize: 0.001}   // 👈 force fixed bin size
           });
-          print(chart);
-        } else {
-          print('⚠️ No valid pixels for ' + title + ' (' + monthName + ').');
+          panel.add(chart);
         }
-        
-      } catch (error) {
-        print('⚠️ Error:' + title + ' (' + monthName + '): ' + error.message);
+      });
+    });
+  });
+}
+
+//=====================================================================================================
+//                          MAP LAYER BROWSER WITH LEGENDS
+//*****************************************************************************************************
+// outputs.layerBrowser: one toggleable map layer for the RGB composite (visSat) and one per
+// selected index (INDEX_REGISTRY ranges and palettes, as visNDVI/visEVI/visSAVI), a slider that
+// steps every layer through the valid periods, and a colour-bar legend per index.
+
+var layerBrowserPanel = null; // Panel on the map while the browser is active
+
+// Horizontal colour bar with min / mid / max labels for a visualization
+function colorBarLegend(title, vis) {
+  var colorBar = ui.Thumbnail({
+    image: ee.Image.pixelLonLat().select(0),
+    params: {bbox: [0, 0, 1, 0.1], dimensions: '100x10', format: 'png',
+             min: 0, max: 1, palette: vis.palette},
+    style: {stretch: 'horizontal', margin: '0px 8px', maxHeight: '24px'}
+  });
+  var labels = ui.Panel([
+    ui.Label(vis.min.toFixed(2), {margin: '4px 8px'}),
+    ui.Label(((vis.min + vis.max) / 2).toFixed(2), {margin: '4px 8px', textAlign: 'center',
+                                                    stretch: 'horizontal'}),
+    ui.Label(vis.max.toFixed(2), {margin: '4px 8px'})
+  ], ui.Panel.Layout.flow('horizontal'));
+  return ui.Panel([ui.Label(title, {fontWeight: 'bold'}), colorBar, labels]);
+}
+
+function createLayerBrowser(ic) {
+  var valid = ic.filter(ee.Filter.neq('noData', 1)).sort('system:time_start');
+  var list = valid.toList(valid.size());
+  var layerNames = ['RGB'].concat(config.indices);
+
+  if (layerBrowserPanel) Map.remove(layerBrowserPanel);
+  layerBrowserPanel = ui.Panel([ui.Label('⏳ Loading periods...')], null,
+                               {position: 'top-right', width: '300px'});
+  Map.add(layerBrowserPanel);
+
+  valid.aggregate_array('periodLabel').evaluate(function(labels, error) {
+    if (error || !labels || labels.length === 0) {
+      layerBrowserPanel.widgets().reset([
+        ui.Label('⚠️ No valid composites to browse' + (error ? ': ' + error : '.'))
+      ]);
+      return;
+    }
+
+    // RGB and the first index visible, the other indices toggleable from the Layers list
+    var first = ee.Image(list.get(0));
+    var layers = layerNames.map(function(name, i) {
+      return Map.addLayer(first, name === 'RGB' ? visSat : indexVis(name),
+                          name + ' ' + labels[0], i < 2);
+    });
+
+    var periodLabel = ui.Label(labels[0], {fontWeight: 'bold', fontSize: '16px'});
+    var slider = ui.Slider({
+      min: 0, max: labels.length - 1, step: 1, value: 0,
+      style: {stretch: 'horizontal'},
+      onChange: function(i) {
+        var img = ee.Image(list.get(i));
+        layers.forEach(function(layer, k) {
+          layer.setEeObject(img);
+          layer.setName(layerNames[k] + ' ' + labels[i]);
+        });
+        periodLabel.setValue(labels[i]);
       }
-    } else {
-      print('⚠️ No ' + title + ' data available(' + monthName + ').');
+    });
+
+    layerBrowserPanel.widgets().reset([periodLabel, slider].concat(
+      config.indices.map(function(name) {
+        return colorBarLegend(name, indexVis(name));
+      })
+    ));
+  });
+}
+
+//=====================================================================================================
+//                          CLICK-TO-INSPECT PIXEL TIME SERIES
+//*****************************************************************************************************
+// outputs.pixelInspector: click the map to chart the clicked pixel (or a buffer of
+// config.inspector.bufferMeters around it): all selected indices plus red/NIR for that point, and
+// one band (config.inspector.band, switchable in the panel) for the point next to the AOI mean.
+// 'Pin point' keeps the point (P1, P2, ...) in the comparison chart, e.g. a forest interior pixel
+// against an edge pixel; 'Clear pins' removes them.
+
+// Throw a descriptive error for an invalid config.inspector
+function validateInspector(cfg) {
+  var inspector = cfg.inspector;
+  if (!inspector || typeof inspector.bufferMeters !== 'number' || inspector.bufferMeters < 0) {
+    throw new Error('config.inspector.bufferMeters must be 0 (single pixel) or a positive ' +
+                    'number of metres.');
+  }
+  if (inspector.band !== null && compositeBandNames(cfg.indices).indexOf(inspector.band) === -1) {
+    throw new Error('config.inspector.band must be one of ' +
+                    compositeBandNames(cfg.indices).join(', ') + '.');
+  }
+}
+
+var inspectorPanel = null;    // Panel on the map while the inspector is active
+var inspectorListener = null; // Map.onClick id, to replace the handler on a new run
+
+function enablePixelInspector(ic) {
+  var pins = [];     // pinned ee.Feature points, labelled P1, P2, ...
+  var pinLayers = [];
+  var current = null;
+  var band = config.inspector.band || config.indices[0];
+  var seriesBands = config.indices.concat(['red', 'nir']);
+
+  if (inspectorPanel) Map.remove(inspectorPanel);
+  if (inspectorListener !== null) Map.unlisten(inspectorListener);
+
+  var pointChart = ui.Panel();
+  var compareChart = ui.Panel();
+  var bandSelect = ui.Select({
+    items: compositeBandNames(config.indices),
+    value: band,
+    onChange: function(value) {
+      band = value;
+      drawComparison();
     }
+  });
+  var pinButton = ui.Button('Pin point', function() {
+    if (!current) return;
+    var label = 'P' + (pins.length + 1);
+    pins.push(current.set('label', label));
+    pinLayers.push(Map.addLayer(current, {color: '#ff00ff'}, 'Pinned ' + label));
+    drawComparison();
+  });
+  var clearButton = ui.Button('Clear pins', function() {
+    pinLayers.forEach(function(layer) { Map.remove(layer); });
+    pins = [];
+    pinLayers = [];
+    drawComparison();
+  });
+
+  inspectorPanel = ui.Panel([
+    ui.Label('Click the map to inspect a pixel', {fontWeight: 'bold'}),
+    pointChart,
+    ui.Panel([bandSelect, pinButton, clearButton], ui.Panel.Layout.flow('horizontal')),
+    compareChart
+  ], null, {position: 'bottom-left', width: '420px', maxHeight: '90%'});
+  Map.add(inspectorPanel);
+
+  // Selected band: AOI mean, pinned points and the current point
+  function drawComparison() {
+    var regions = [ee.Feature(config.aoi.geometry(), {label: 'AOI mean'})].concat(pins);
+    if (current) regions.push(current.set('label', 'Clicked'));
+    var chart = ui.Chart.image.seriesByRegion({
+      imageCollection: ic.select(band),
+      regions: ee.FeatureCollection(regions),
+      reducer: ee.Reducer.mean(),
+      band: band,
+      scale: config.scale,
+      xProperty: 'system:time_start',
+      seriesProperty: 'label'
+    }).setOptions({
+      title: band + ': AOI mean vs points',
+      interpolateNulls: true,
+      pointSize: 3,
+      vAxis: {title: band},
+      hAxis: {title: 'Date', format: periodAxisFormat(config)}
+    });
+    compareChart.widgets().reset([chart]);
   }
+
+  inspectorListener = Map.onClick(function(coords) {
+    var point = ee.Geometry.Point([coords.lon, coords.lat]);
+    var region = config.inspector.bufferMeters > 0 ?
+      point.buffer(config.inspector.bufferMeters) : point;
+    current = ee.Feature(region);
+
+    var chart = ui.Chart.image.series({
+      imageCollection: ic.select(seriesBands),
+      region: region,
+      reducer: ee.Reducer.mean(),
+      scale: config.scale,
+      xProperty: 'system:time_start'
+    }).setOptions({
+      title: 'Pixel at ' + coords.lon.toFixed(5) + ', ' + coords.lat.toFixed(5) +
+             (config.inspector.bufferMeters > 0 ? ' (' + config.inspector.bufferMeters + ' m)' : ''),
+      interpolateNulls: true,
+      pointSize: 3,
+      series: seriesStyles(seriesBands),
+      hAxis: {title: 'Date', format: periodAxisFormat(config)}
+    });
+    pointChart.widgets().reset([chart]);
+    drawComparison();
+  });
 }
 
 //=====================================================================================================
 //                          EXECUTION BLOCK: MULTI-YEAR RANGE
 //*****************************************************************************************************
-// Define start and end year of analysis
-var startYear = 2024;
-var endYear   = 2024;
-
-//See the image collection
-var indices = monthlyIndicesRange(startYear, endYear, aoi);
-
-print('Indices collection:', indices);
-print('Size:', indices.size());
-print('First image:', indices.first());
-
-// EXPORT all valid images to Google Drive
-exportToDrive(indices, 'Indices_RGB_Exports');
-
-// CHARTS
-createTimeSeriesChart(indices, 'NDVI_Normalized', 'Normalized NDVI Time Series', '#2E8B57');
-createTimeSeriesChart(indices, 'EVI_Normalized',  'Normalized EVI Time Series', '#1f77b4');
-createTimeSeriesChart(indices, 'SAVI_Normalized', 'Normalized SAVI Time Series', '#ff7f0e');
-createCombinedChart(indices, aoi); //combine all VIs time series
-createVIReflectances(indices, aoi); //Combine VIs + Band reflectances
-createImageCountChart(indices), //number of images used per month
-createContaminationChart(indices); //Percentage of image scene contaminated with clouds or shadow
-
-// GIFs
-// Individual GIFS
-createGif(indices, aoi, 'NDVI', 'NDVI');
-createGif(indices, aoi, 'EVI',  'EVI');
-createGif(indices, aoi, 'SAVI', 'SAVI');
-createRgbGif(indices, aoi, 'Sentinel-2 RGB');// aligned RGB
-
-// Tiled GIFS
-// Pass in visualizations you want to compare
-// Usage examples for any number of panels:
-// 2 panels:
-// createHorizontalGif(indices, 'Sat vs EVI', ['sat', 'evi']);
-// createHorizontalGif(indices, 'Sat vs SAVI', ['sat', 'savi']);
-createHorizontalGif(indices, 'NDVI vs EVI', ['ndvi', 'evi']);
- createHorizontalGif(indices, 'Sat vs NDVI', ['sat', 'ndvi']);
-
-// 3 panels:
- createHorizontalGif(indices, 'Sat NDVI EVI', ['sat', 'ndvi', 'evi']);
-// createHorizontalGif(indices, 'Indices Only', ['ndvi', 'evi', 'savi']);
-
-// 4 panels:
- createHorizontalGif(indices, 'All Indices', ['sat', 'ndvi', 'evi', 'savi']);
-
-// 5 panels (if you have more bands):
-// createHorizontalGif(indices, 'Extended', ['sat', 'ndvi', 'evi', 'savi', 'another_band']);
-
-
-//STATS -- To inform indices visualization min/max
-// Extract percentiles for visualization
-
-// 1) median image across the whole time series
-var medianImg = indices.select(['NDVI','EVI','SAVI']).median();
-
-// 2) compute stats (min/max + percentiles) on that median image
-var stats = ee.Dictionary(medianImg.reduceRegion({
-  reducer: ee.Reducer.minMax().combine({
-    reducer2: ee.Reducer.percentile([2,5,10,20,30,50,70,95,98]),
-    sharedInputs: true
-  }),
-  geometry: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}));
-
-var ndviMin = ee.Number(stats.get('NDVI_p2'));
-var ndviMax = ee.Number(stats.get('NDVI_p98'));
-var eviMin = ee.Number(stats.get('EVI_p2'));
-var eviMax = ee.Number(stats.get('EVI_p98'));
-var saviMin = ee.Number(stats.get('SAVI_p2'));
-var saviMax = ee.Number(stats.get('SAVI_p98'));
-
-print('NDVI percentile range:', ndviMin, ndviMax);
-print('EVI percentile range:', eviMin, eviMax);
-print('SAVI percentile range:', saviMin, saviMax);
-
-// Print results
-print('Stats from median composite (NDVI, EVI, SAVI):', stats);
-
-//Histograms
-var chart = ui.Chart.image.histogram({
-  image: indices.select('NDVI').median(),
-  region: aoi,
-  scale: 10,
-  maxPixels: 1e13
-})
-.setOptions({
-  title: 'NDVI Histogram',
-  vAxis: {title: 'Frequency'},
-  hAxis: {
-    title: 'NDVI',
-    viewWindow: {min: 0, max: 1}   // 👈 clamp y-axis between 0 and 1
-  },
-  legend: {position: 'none'}
-});
-print(chart);
-
-var chart = ui.Chart.image.histogram({
-  image: indices.select('EVI').median(),
-  region: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}).setOptions({
-  title: 'EVI Histogram',
-  vAxis: {title: 'Frequency'},
-  hAxis: {
-    title: 'EVI',
-    viewWindow: {min: 0, max: 1}   // 👈 clamp y-axis between 0 and 1
-  },
-  legend: {position: 'none'}
-});
-print(chart);
-
-var chart = ui.Chart.image.histogram({
-  image: indices.select('SAVI').median(),
-  region: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}).setOptions({
-  title: 'SAVI Histogram',
-  vAxis: {title: 'Frequency'},
-  hAxis: {
-    title: 'SAVI',
-    viewWindow: {min: 0, max: 1}   // 👈 clamp y-axis between 0 and 1
-  },
-  legend: {position: 'none'}
-});
-print(chart);
-
-// Call histograms
-monthlyHistograms(indices, 'B8',   'Monthly Histogram - NIR (Band 8)', 0, 0.6);
-monthlyHistograms(indices, 'B4',   'Monthly Histogram - Red (Band 4)', 0, 0.6);
-monthlyHistograms(indices, 'NDVI', 'Monthly Histogram - NDVI', 0, 1.0);
-monthlyHistograms(indices, 'EVI',  'Monthly Histogram - EVI', 0, 1.0);
-
-//Mean
-//EVI Stats
-var meanImgEvi = indices.select('EVI').mean();
-
-print('EVI stats (mean image)', meanImgEvi.reduceRegion({
-  reducer: ee.Reducer.minMax().combine({
-    reducer2: ee.Reducer.percentile([2, 5, 10,20,30, 50, 70, 95, 98]),
-    sharedInputs: true
-  }),
-  geometry: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}));
-
-//NDVI Stats
-var meanImgNdvi = indices.select('NDVI').mean();
-
-print('NDVI stats (mean image)', meanImgNdvi.reduceRegion({
-  reducer: ee.Reducer.minMax().combine({
-    reducer2: ee.Reducer.percentile([2, 5, 10,20, 30, 50, 70, 95, 98]),
-    sharedInputs: true
-  }),
-  geometry: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}));
-
-//SAVI Stats
-var meanImgSavi = indices.select('SAVI').mean();
-
-print('SAVI stats (mean image)', meanImgSavi.reduceRegion({
-  reducer: ee.Reducer.minMax().combine({
-    reducer2: ee.Reducer.percentile([2, 5,10,20, 30, 50, 70, 95, 98]),
-    sharedInputs: true
-  }),
-  geometry: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}));
-
-
-//TEST
-// Test individual band visualization to confirm they work:
-function testVisualization(ic) {
-  var testImg = indices.first();
-  var region4326 = aoi.geometry().transform('EPSG:4326', 1);
-  
-  print('Testing EVI visualization:');
-  Map.addLayer(testImg.select('EVI').clip(region4326), visEVI, 'EVI Test');
-  
-  print('Testing SAVI visualization:');
-  Map.addLayer(testImg.select('SAVI').clip(region4326), visSAVI, 'SAVI Test');
-}
-
-testVisualization(indices);
-
-//SATURATION IN B4(RED) AND B8(NIR) BANDS 
-// Generating histograms like in Huete (2002) paper
-var chart = ui.Chart.image.histogram({
-  image: indices.select('B4').median(),
-  region: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}).setOptions({
-  title: 'B4 Histogram',
-  vAxis: {title: 'Frequency'},
-  hAxis: {
-    title: 'B4 - Red',
-    //viewWindow: {min: 0, max: 1}   // 👈 clamp y-axis between 0 and 1
-  },
-  legend: {position: 'none'}
-});
-print(chart);
-
-var chart = ui.Chart.image.histogram({
-  image: indices.select('B8').median(),
-  region: aoi,
-  scale: 10,
-  maxPixels: 1e13
-}).setOptions({
-  title: 'B8 Histogram',
-  vAxis: {title: 'Frequency'},
-  hAxis: {
-    title: 'B8 - NIR',
-    //viewWindow: {min: 0, max: 1}   // 👈 clamp y-axis between 0 and 1
-  },
-  legend: {position: 'none'}
-});
-print(chart);
\ No newline at end of file
+// Date range, AOI, thresholds and outputs all come from `config` (see RUN CONFIGURATION)
+
+// Composites for a config, with the optional cache, gap-filling and smoothing steps
+function buildIndices(cfg) {
+  //See the image collection
+  var indices = monthlyIndicesRange(cfg);
+
+  // Store newly computed composites in the asset cache (config.cache)
+  if (cfg.cache.mode === 'readWrite') {
+    cacheComposites(indices, cfg);
+  }
+
+  // Optional gap-filling of masked periods/pixels (config.gapFill)
+  if (cfg.gapFill.method !== 'none') {
+    indices = fillGaps(indices, cfg);
+  }
+
+  // Optional smoothing: adds *_fitted bands (config.smoothing)
+  if (cfg.smoothing.method !== 'none') {
+    indices = smoothTimeSeries(indices, cfg);
+  }
+  return indices;
+}
+
+// Every output switched on in config.outputs, for a collection from buildIndices
+function runOutputs(indices) {
+  show('Info', 'Indices collection:', indices);
+  show('Info', 'Size:', indices.size());
+  show('Info', 'First image:', indices.first());
+
+  // Charts, histograms and stats can be restricted to land-cover classes (config.landCover)
+  var chartIndices = indices;
+  if (config.landCover.restrictTo) {
+    chartIndices = restrictToClasses(indices, config);
+    show('Info', 'Charts, histograms and stats restricted to land-cover classes:',
+         config.landCover.restrictTo.map(function(value) {
+           return landCoverClasses(config)[value] || value;
+         }));
+  }
+
+  // EXPORT all valid images (Drive, Cloud Storage or asset; see config.rasterExport)
+  if (config.outputs.exportImages) {
+    exportComposites(indices, config.exportFolder);
+  }
+
+  // EXPORT the per-period statistics table (config.tableExport)
+  if (config.outputs.exportTable) {
+    exportStatsTable(indices, config.exportFolder);
+  }
+
+  // CHARTS
+  if (config.outputs.timeSeriesCharts) {
+    config.indices.forEach(function(name) {
+      createTimeSeriesChart(chartIndices, name + '_Normalized', 'Normalized ' + name + ' Time Series',
+                            INDEX_REGISTRY[name].color);
+    });
+  }
+  if (config.outputs.combinedCharts) {
+    createCombinedChart(chartIndices, config.aoi); //combine all VIs time series
+    createVIReflectances(chartIndices, config.aoi); //Combine VIs + Band reflectances
+  }
+  if (config.outputs.landCoverCharts) {
+    config.indices.forEach(function(name) {
+      createClassChart(indices, name);
+    });
+  }
+  if (config.outputs.imageCountChart) {
+    createImageCountChart(indices); //number of images used per month
+  }
+  if (config.outputs.contaminationChart) {
+    createContaminationChart(indices); //Percentage of image scene contaminated with clouds or shadow
+  }
+
+  // GIFs
+  // Individual GIFS
+  if (config.outputs.indexGifs) {
+    config.indices.forEach(function(name) {
+      createGif(indices, config.aoi, name, name);
+    });
+  }
+  if (config.outputs.rgbGif) {
+    createRgbGif(indices, config.aoi, 'Sentinel-2 RGB');// aligned RGB
+  }
+
+  // Tiled GIFS
+  // Panels listed in config.outputs.tiledGifs, e.g.
+  // {title: 'Sat vs EVI', panels: ['sat', 'evi']}
+  // {title: 'Indices Only', panels: ['ndvi', 'evi', 'savi']}
+  // {title: 'Grid', columns: 2, panels: ['sat', 'falseColor', 'ndvi',
+  //                                      {type: 'difference', bands: ['NDVI', 'EVI']}]}
+  config.outputs.tiledGifs.forEach(function(gif) {
+    createTiledGif(indices, gif);
+  });
+
+
+  //STATS -- To inform indices visualization min/max
+  // Extract percentiles for visualization
+  if (config.outputs.stats) {
+    // 1) median image across the whole time series
+    var medianImg = chartIndices.select(config.indices).median();
+
+    // 2) compute stats (min/max + percentiles) on that median image
+    var stats = ee.Dictionary(medianImg.reduceRegion({
+      reducer: ee.Reducer.minMax().combine({
+        reducer2: ee.Reducer.percentile([2,5,10,20,30,50,70,95,98]),
+        sharedInputs: true
+      }),
+      geometry: config.aoi,
+      scale: config.scale,
+      maxPixels: 1e13
+    }));
+
+    config.indices.forEach(function(name) {
+      show('Info', name + ' percentile range:', ee.Number(stats.get(name + '_p2')),
+                                                ee.Number(stats.get(name + '_p98')));
+    });
+
+    // Print results
+    show('Info', 'Stats from median composite (' + config.indices.join(', ') + '):', stats);
+  }
+
+  //Histograms
+  if (config.outputs.histograms) {
+    config.indices.forEach(function(name) {
+      var chart = ui.Chart.image.histogram({
+        image: chartIndices.select(name).median(),
+        region: config.aoi,
+        scale: config.scale,
+        maxPixels: 1e13
+      })
+      .setOptions({
+        title: name + ' Histogram',
+        vAxis: {title: 'Frequency'},
+        hAxis: {
+          title: name,
+          viewWindow: {min: INDEX_REGISTRY[name].vis.min, max: INDEX_REGISTRY[name].vis.max}
+        },
+        legend: {position: 'none'}
+      });
+      show('Histograms', chart);
+    });
+  }
+
+  // Call histograms
+  // Titles and x-axis ranges for the bands that can be listed in config.outputs.monthlyHistograms
+  var monthlyHistogramSettings = {
+    nir: {title: 'Monthly Histogram - NIR (S2 Band 8)', xMax: 0.6},
+    red: {title: 'Monthly Histogram - Red (S2 Band 4)', xMax: 0.6}
+  };
+
+  var histograms = config.outputs.monthlyHistograms.map(function(band) {
+    var settings = monthlyHistogramSettings[band] ||
+                   {title: 'Monthly Histogram - ' + band, xMin: INDEX_REGISTRY[band].vis.min,
+                    xMax: INDEX_REGISTRY[band].vis.max};
+    return {band: band, title: settings.title, xMin: settings.xMin || 0, xMax: settings.xMax};
+  });
+  if (histograms.length > 0) {
+    monthlyHistograms(chartIndices, histograms);
+  }
+
+  //Mean
+  //Index stats (mean image)
+  if (config.outputs.stats) {
+    config.indices.forEach(function(name) {
+      var meanImg = chartIndices.select(name).mean();
+
+      show('Info', name + ' stats (mean image)', meanImg.reduceRegion({
+        reducer: ee.Reducer.minMax().combine({
+          reducer2: ee.Reducer.percentile([2, 5, 10,20,30, 50, 70, 95, 98]),
+          sharedInputs: true
+        }),
+        geometry: config.aoi,
+        scale: config.scale,
+        maxPixels: 1e13
+      }));
+    });
+  }
+
+
+  //TEST
+  // Test individual band visualization to confirm they work:
+  function testVisualization(ic) {
+    var testImg = ic.first();
+    var region4326 = config.aoi.geometry().transform('EPSG:4326', 1);
+
+    config.indices.forEach(function(name) {
+      show('Info', 'Testing ' + name + ' visualization:');
+      Map.addLayer(testImg.select(name).clip(region4326), indexVis(name), name + ' Test');
+    });
+  }
+
+  if (config.outputs.testVisualization) {
+    testVisualization(indices);
+  }
+
+  //SATURATION IN RED (S2 B4) AND NIR (S2 B8) BANDS 
+  // Generating histograms like in Huete (2002) paper
+  if (config.outputs.histograms) {
+    var chart = ui.Chart.image.histogram({
+      image: chartIndices.select('red').median(),
+      region: config.aoi,
+      scale: config.scale,
+      maxPixels: 1e13
+    }).setOptions({
+      title: 'Red Histogram',
+      vAxis: {title: 'Frequency'},
+      hAxis: {
+        title: 'Red (S2 B4)',
+        //viewWindow: {min: 0, max: 1}   // 👈 clamp y-axis between 0 and 1
+      },
+      legend: {position: 'none'}
+    });
+    show('Histograms', chart);
+
+    var chart = ui.Chart.image.histogram({
+      image: chartIndices.select('nir').median(),
+      region: config.aoi,
+      scale: config.scale,
+      maxPixels: 1e13
+    }).setOptions({
+      title: 'NIR Histogram',
+      vAxis: {title: 'Frequency'},
+      hAxis: {
+        title: 'NIR (S2 B8)',
+        //viewWindow: {min: 0, max: 1}   // 👈 clamp y-axis between 0 and 1
+      },
+      legend: {position: 'none'}
+    });
+    show('Histograms', chart);
+  }
+
+  // PHENOLOGY: per-pixel season metrics and the AOI-mean table (config.phenology)
+  if (config.outputs.phenology) {
+    var phenology = phenologyImages(indices, config);
+    show('Info', 'Phenology metrics (' + phenologyBand(config) + ', one image per year):', phenology);
+
+    // Peak day of the first season of the first year
+    var peakBand = config.phenology.seasons[0].name + '_POS';
+    Map.addLayer(phenology.first().select(peakBand),
+                 {min: 0, max: 365, palette: ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c']},
+                 'Peak day ' + config.phenology.seasons[0].name + ' ' + config.startYear, false);
+
+    show('Info', 'Phenology metrics (AOI mean series):', aoiPhenologyTable(indices, config));
+  }
+
+  // ANOMALIES against the config.baseline climatology
+  if (config.outputs.anomalies) {
+    var climatology = baselineClimatology(config);
+    var anomalies = computeAnomalies(indices, climatology, config);
+    show('Info', 'Baseline climatology (' + config.baseline.startYear + '–' +
+                 config.baseline.endYear + '):', climatology);
+    show('Info', 'Anomalies:', anomalies);
+
+    baselineBands(config).forEach(function(band) {
+      createBaselineChart(anomalies, band);
+      createZScoreChart(anomalies, band);
+      show('Info', band + ' anomaly summary (AOI mean):', anomalySummary(anomalies, band, config));
+    });
+
+    // z-score of the latest composite of the first band
+    var zBand = baselineBands(config)[0] + '_zscore';
+    Map.addLayer(anomalies.filter(ee.Filter.neq('noData', 1))
+                          .sort('system:time_start', false).first().select(zBand),
+                 {min: -3, max: 3, palette: ['#8c510a', '#d8b365', '#f5f5f5', '#5ab4ac', '#01665e']},
+                 zBand + ' (latest period)', false);
+  }
+
+  // TREND: Sen's slope and Mann–Kendall significance (config.trend)
+  if (config.outputs.trend) {
+    var trend = computeTrend(indices, config);
+    show('Info', config.trend.index + ' trend (slope per year, tau, pValue, trend):', trend);
+    show('Info', config.trend.index + ' significant trend area share (%):', trendAreaShare(trend, config));
+
+    Map.addLayer(trend.select('slope'),
+                 {min: -0.05, max: 0.05, palette: ['#a6611a', '#dfc27d', '#f5f5f5', '#80cdc1', '#018571']},
+                 config.trend.index + " Sen's slope (per year)", false);
+    Map.addLayer(trend.select('slope').updateMask(trend.select('trend').neq(0)),
+                 {min: -0.05, max: 0.05, palette: ['#a6611a', '#dfc27d', '#f5f5f5', '#80cdc1', '#018571']},
+                 config.trend.index + " Sen's slope (p < " + config.trend.alpha + ')');
+  }
+
+  // CHANGE DETECTION between config.change.before and config.change.after
+  if (config.outputs.change) {
+    var change = changeDetection(config.change.before, config.change.after, config);
+    show('Info', 'Change map (' + config.change.before.start + ' → ' + config.change.after.start +
+                 '):', change);
+    show('Info', 'Change class areas (ha):', changeAreaStats(change, config));
+
+    Map.addLayer(change.select('d' + config.change.classifyIndex),
+                 {min: -0.3, max: 0.3, palette: ['#d7191c', '#ffffbf', '#1a9641']},
+                 'd' + config.change.classifyIndex, false);
+    Map.addLayer(change.select('changeClass'), changeClassVis(config), 'Change classes');
+
+    if (config.change.exportGeoTiff) {
+      exportImage(change, 'Change_' + config.change.before.start + '_' +
+                         config.change.after.start + '_' + config.change.classifyIndex);
+      show('Info', '✅ Exporting change map');
+    }
+  }
+
+  // PER-FEATURE STATISTICS for every polygon in config.batch.features
+  if (config.outputs.featureStats) {
+    var featureStats = featureStatsTable(indices, config);
+    show('Info', 'Per-feature statistics (long format):', featureStats.limit(50));
+    batchBands(config).forEach(function(band) {
+      createFeatureChart(featureStats, band);
+    });
+  }
+
+  // LAYER BROWSER: RGB and index layers with a period slider and legends
+  if (config.outputs.layerBrowser) {
+    createLayerBrowser(indices);
+  }
+
+  // PIXEL INSPECTOR: click the map for pixel time series
+  if (config.outputs.pixelInspector) {
+    enablePixelInspector(indices);
+  }
+}
+
+//=====================================================================================================
+//                          APP (ui.Panel)
+//*****************************************************************************************************
+// With config.app (default) nothing is computed at load: a side panel picks the AOI (or a drawn
+// geometry), the years, indices and outputs, and Run builds the composites on demand. Results go
+// to tabs instead of the console: Charts, Quality (image count, contamination), Histograms,
+// Gallery (GIFs) and Info (collections, stats, exports); map layers use the layer browser.
+// Set app: false in the run profile to print everything to the console as before.
+
+var APP_TABS = ['Charts', 'Quality', 'Histograms', 'Gallery', 'Info'];
+
+// Outputs the app can switch (config.outputs keys)
+var APP_OUTPUTS = {
+  timeSeriesCharts: 'Time series charts',
+  combinedCharts: 'Combined charts',
+  imageCountChart: 'Image count',
+  contaminationChart: 'Cloud contamination',
+  indexGifs: 'Index GIFs',
+  rgbGif: 'RGB GIF',
+  histograms: 'Histograms',
+  stats: 'Percentile stats',
+  pixelInspector: 'Pixel inspector (click the map)',
+  layerBrowser: 'Period layers and legends on the map',
+  exportImages: 'Export images'
+};
+
+var appTabs = null; // tab name -> ui.Panel while the app is running
+
+// print() replacement: the console, or an app tab while the app is running
+function show(tab) {
+  var items = Array.prototype.slice.call(arguments, 1);
+  if (!appTabs) {
+    print.apply(null, items);
+    return;
+  }
+  // Consecutive values share one row of labels; widgets and collection tables get their own
+  var labels = [];
+  function addLabels() {
+    if (labels.length) {
+      appTabs[tab].add(ui.Panel(labels, ui.Panel.Layout.flow('horizontal', true)));
+      labels = [];
+    }
+  }
+  items.forEach(function(item) {
+    if (item instanceof ui.Widget) {
+      addLabels();
+      appTabs[tab].add(item);
+    } else if (item instanceof ee.Collection) {
+      addLabels();
+      appTabs[tab].add(appTable(item));
+    } else {
+      labels.push(appLabel(item));
+    }
+  });
+  addLabels();
+}
+
+// Label for a printed value; Earth Engine objects are summarised asynchronously
+function appLabel(item) {
+  if (!(item instanceof ee.ComputedObject)) {
+    var text = typeof item === 'object' ? JSON.stringify(item) : String(item);
+    var label = ui.Label(text);
+    if (/^https?:\/\//.test(text)) label.setUrl(text);
+    return label;
+  }
+  var pending = ui.Label('⏳');
+  var summary = item instanceof ee.Image ? item.bandNames() : item;
+  summary.evaluate(function(value, error) {
+    if (error) {
+      pending.setValue('⚠️ ' + error);
+    } else {
+      pending.setValue(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  });
+  return pending;
+}
+
+var APP_TABLE_ROWS = 500; // Rows of a collection shown in an app tab
+
+// Table of the element properties of a FeatureCollection / ImageCollection (one row per element)
+function appTable(collection) {
+  var panel = ui.Panel([ui.Label('⏳')]);
+  collection.limit(APP_TABLE_ROWS).evaluate(function(value, error) {
+    if (error) {
+      panel.widgets().reset([ui.Label('⚠️ ' + error)]);
+      return;
+    }
+    var elements = value.features || [];
+    var columns = [];
+    elements.forEach(function(element) {
+      Object.keys(element.properties || {}).forEach(function(key) {
+        if (key.indexOf('system:') !== 0 && columns.indexOf(key) === -1) columns.push(key);
+      });
+    });
+    if (elements.length === 0 || columns.length === 0) {
+      panel.widgets().reset([ui.Label(elements.length + ' elements')]);
+      return;
+    }
+
+    // Numeric columns stay numeric (sortable); anything else is shown as text
+    var numeric = columns.map(function(key) {
+      return elements.every(function(element) {
+        var v = element.properties[key];
+        return v === undefined || v === null || typeof v === 'number';
+      });
+    });
+    var rows = elements.map(function(element) {
+      return columns.map(function(key, i) {
+        var v = element.properties[key];
+        if (v === undefined || v === null) return null;
+        if (numeric[i]) return v;
+        return typeof v === 'object' ? JSON.stringify(v) : String(v);
+      });
+    });
+    panel.widgets().reset([
+      ui.Label(elements.length + ' elements' +
+               (elements.length === APP_TABLE_ROWS ? ' (first ' + APP_TABLE_ROWS + ' shown)' : '')),
+      ui.Chart([columns].concat(rows), 'Table', {pageSize: 20})
+    ]);
+  });
+  return panel;
+}
+
+// Side panel with the run controls, and the tabbed results panel
+function launchApp() {
+  var profile = config; // The run profile; each Run starts from it, not from the last run
+  var thisYear = new Date().getUTCFullYear();
+  var aoiChoices = {
+    'Karura (forest)': Karura_outline,
+    'Morendat (agriculture)': Morendat,
+    'Drawn geometry': null
+  };
+  var aoiSelect = ui.Select({items: Object.keys(aoiChoices), value: 'Karura (forest)'});
+  // Whole years (a 365-day DateSlider step drifts across leap days)
+  var firstYear = Math.min(2015, config.startYear);
+  var startSlider = ui.Slider({
+    min: firstYear, max: thisYear, step: 1, value: config.startYear, style: {stretch: 'horizontal'}
+  });
+  var endSlider = ui.Slider({
+    min: firstYear, max: thisYear, step: 1, value: config.endYear, style: {stretch: 'horizontal'}
+  });
+  var indexBoxes = SUPPORTED_INDICES.map(function(name) {
+    return ui.Checkbox(name, config.indices.indexOf(name) !== -1);
+  });
+  var outputBoxes = Object.keys(APP_OUTPUTS).map(function(key) {
+    return ui.Checkbox(APP_OUTPUTS[key], config.outputs[key] === true);
+  });
+  var status = ui.Label('');
+
+  // Results: one panel per tab, shown one at a time
+  appTabs = {};
+  var tabContent = ui.Panel();
+  var tabButtons = APP_TABS.map(function(name) {
+    appTabs[name] = ui.Panel();
+    return ui.Button(name, function() {
+      tabContent.widgets().reset([appTabs[name]]);
+    });
+  });
+  tabContent.widgets().reset([appTabs.Charts]);
+  var results = ui.Panel([ui.Panel(tabButtons, ui.Panel.Layout.flow('horizontal', true)), tabContent],
+                         null, {width: '480px'});
+
+  var run = ui.Button('Run', function() {
+    // The run profile's settings, with the app's choices on top
+    var overrides = {};
+    for (var key in profile) overrides[key] = profile[key];
+    overrides.outputs = {};
+    for (key in profile.outputs) overrides.outputs[key] = profile.outputs[key];
+    Object.keys(APP_OUTPUTS).forEach(function(name, i) {
+      overrides.outputs[name] = outputBoxes[i].getValue();
+    });
+
+    var aoi = aoiChoices[aoiSelect.getValue()];
+    if (!aoi) {
+      var drawn = Map.drawingTools().layers();
+      if (drawn.length() === 0) {
+        status.setValue('⚠️ Draw a polygon on the map first.');
+        return;
+      }
+      aoi = ee.FeatureCollection([ee.Feature(drawn.get(0).getEeObject())]);
+    }
+    overrides.aoi = aoi;
+    overrides.startYear = startSlider.getValue();
+    overrides.endYear = endSlider.getValue();
+    overrides.indices = SUPPORTED_INDICES.filter(function(name, i) {
+      return indexBoxes[i].getValue();
+    });
+    // Drop GIFs and monthly histograms that use an index that is no longer selected
+    overrides.outputs.tiledGifs = profile.outputs.tiledGifs.filter(function(gif) {
+      try {
+        gif.panels.forEach(function(panel) { gifPanel(panel, overrides); });
+        return true;
+      } catch (e) {
+        return false;
+      }
+    });
+    overrides.outputs.monthlyHistograms = !overrides.outputs.histograms ? [] :
+      profile.outputs.monthlyHistograms.filter(function(band) {
+        return REFLECTANCE_BANDS.indexOf(band) !== -1 || overrides.indices.indexOf(band) !== -1;
+      });
+    overrides.outputs.testVisualization = false;
+    // Inspector band of an index that is no longer selected: use the first selected index
+    if (compositeBandNames(overrides.indices).indexOf(profile.inspector.band) === -1) {
+      overrides.inspector = {bufferMeters: profile.inspector.bufferMeters, band: null};
+    }
+
+    try {
+      config = makeConfig(overrides);
+    } catch (error) {
+      status.setValue('⚠️ ' + error.message);
+      return;
+    }
+
+    APP_TABS.forEach(function(name) { appTabs[name].clear(); });
+    Map.layers().reset();
+    Map.centerObject(config.aoi, 12);
+    Map.addLayer(ee.Image().paint(config.aoi, 0, 2), {palette: ['#000000']}, 'AOI');
+
+    var indices = buildIndices(config);
+    runOutputs(indices);
+    status.setValue('✅ ' + config.startYear + '–' + config.endYear + ', ' +
+                    config.indices.join(', ') + ': results are loading in the tabs.');
+  });
+
+  var controls = ui.Panel([
+    ui.Label('NDVI / EVI / SAVI Time Series', {fontWeight: 'bold', fontSize: '18px'}),
+    ui.Label('Area of interest'), aoiSelect,
+    ui.Label('First year'), startSlider,
+    ui.Label('Last year'), endSlider,
+    ui.Label('Indices'), ui.Panel(indexBoxes, ui.Panel.Layout.flow('horizontal', true)),
+    ui.Label('Outputs'), ui.Panel(outputBoxes),
+    run, status
+  ], null, {width: '320px'});
+
+  ui.root.widgets().reset([controls, ui.SplitPanel(Map, results)]);
+}
+
+// Launch the app, or compute everything at load and print it to the console
+if (config.app) {
+  launchApp();
+} else {
+  runOutputs(buildIndices(config));
+}